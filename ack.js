@@ -0,0 +1,46 @@
+// ack.js
+// Signed one-click acknowledgement links for alert emails.
+// A link names one excursion (device, channel and the time it started) and carries an expiry
+// and an HMAC-SHA256 signature, so it works without the admin token but can't be forged or
+// replayed against a later excursion. Links need PUBLIC_URL (the address people reach the
+// server at); without it emails simply carry no link.
+
+const crypto = require('crypto');
+
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+// how long an emailed link stays valid
+const ACK_LINK_TTL_H = Number(process.env.ACK_LINK_TTL_H ?? 72);
+
+// the signed string; every field is part of it
+function ackPayload({ id, channel, since, exp }) {
+  return `${id}|${channel || ''}|${since}|${exp}`;
+}
+
+function signAck(secret, fields) {
+  return crypto.createHmac('sha256', secret).update(ackPayload(fields)).digest('base64url');
+}
+
+// absolute link for an excursion, or '' when PUBLIC_URL isn't set
+function ackLink(secret, { id, channel, since }, now = Date.now()) {
+  if (!PUBLIC_URL || !secret || !Number.isFinite(since)) return '';
+  const exp = now + ACK_LINK_TTL_H * 3600 * 1000;
+  const q = new URLSearchParams({ d: id, ...(channel ? { c: channel } : {}), s: String(since), exp: String(exp) });
+  q.set('sig', signAck(secret, { id, channel, since, exp }));
+  return `${PUBLIC_URL}/ack?${q}`;
+}
+
+// check the query of a clicked link -> { id, channel, since } or { error }
+function verifyAck(secret, query, now = Date.now()) {
+  const id = String(query.d || '');
+  const channel = query.c ? String(query.c) : undefined;
+  const since = Number(query.s);
+  const exp = Number(query.exp);
+  if (!id || !Number.isFinite(since) || !Number.isFinite(exp) || !query.sig) return { error: 'incomplete link' };
+  const want = Buffer.from(signAck(secret, { id, channel, since, exp }));
+  const got = Buffer.from(String(query.sig));
+  if (want.length !== got.length || !crypto.timingSafeEqual(want, got)) return { error: 'invalid signature' };
+  if (now > exp) return { error: 'link expired' };
+  return { id, channel, since };
+}
+
+module.exports = { ackLink, verifyAck, PUBLIC_URL };
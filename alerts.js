@@ -3,57 +3,17 @@
 // last recorded log time, and fault flags such as normal, alert, offline, online, or heartbeat.
 // The alert manager decides when to emit events such as when to alert for recovery, offline
 // and heartbeat or out of set temperature range.
-// Alerts such as SMTP, Resend (service for HTTPS to Email), and Discord Channel notifiers. 
+// Messages are handed to the notifier (server.js fans them out to the notification channels
+// in channels.js: email, Discord, Slack, Teams, ntfy, webhooks).
 // Prevents spam using cooldowns, spike detection, and offline detection.
 
+// recipient list parsing for escalation levels
+const { parseRecipients } = require("./email");
+// sensor status register decoding (named fault / warning bits per sensor type)
+const { decodeSr, describeSr } = require("./faults");
+// escalation chains for unresolved excursions
+const { dueLevels } = require("./escalation");
 
-// Provider selection
-// 1) smtp
-// 2) Resend
-// 3) SendGrid (optional)
-const EMAIL_PROVIDER = (process.env.EMAIL_PROVIDER || 'smtp').toLowerCase();
-const RESEND_API_KEY = process.env.RESEND_API_KEY || '';
-const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY || '';
-
-
-// nodemailer is a popular node.js library that allows javascript
-// server code to send emails -> it essentially handles the backend of sending emails.
-const nodemailer = require("nodemailer");
-// SMTP transport creation
-// creates a nodemailer transport if required environment variables (stored in .env file) exist
-// const variable where we check if SMTP host, user, or password exists in .env file
-const smtpEnvReady =
-
-// !! is a double-bang operator -> This essentially checks if the boolean value is actually legitimate
-
-  !!process.env.SMTP_HOST && 
-  !!process.env.SMTP_USER && 
-  !!process.env.SMTP_PASS;
-// secure is set if SMTP_SECURE is set (True)
-// if not SMTP is NULL and later code skips SMTP sending
-// 587 is a port number for application level gateways -> think of things like outlook or gmail
-// it acts like a entrance for transport layer security
-//TERNARY EXPRESSION
-const smtp = smtpEnvReady
-  ? nodemailer.createTransport({
-    // we populate fields such as SMTP host from the .env file
-      host: process.env.SMTP_HOST,
-
-      // ?? is a nullish coalescing operator, it means that it checks if the value in the .env file is null or not
-      
-      // if the SMTP_port .env is NULL, then use port 587
-      port: Number(process.env.SMTP_PORT ?? 587),
-      // There are 2 different ways to encrypt SMTP
-      // if secure is true ->  port 465 style (TLS)
-      // this means encryption starts before any data is sent
-      // it's like when you try to enter your house but you don't have your house keys
-      // if secure is false -> port 587 style (STARTTLS)
-      // this means, we can enter the house without the keys, but we lock the door behind us
-      secure: String(process.env.SMTP_SECURE).toLowerCase() === "true",
-      // this is essentially setting up authentication for user email and password
-      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
-    })
-  : null;
 
 // "Knobs" for behavior -> Tunes/adjusts parameters for how the program runs
 // Heartbeat knob -> We expect 300000ms or 300 sec of logging
@@ -71,10 +31,22 @@ const HEARTBEAT_SEC = Number(
   // 5 -> 0101, 0.75 -> 0.11
     (Number(process.env.KEEPALIVE_MS ?? 300000) / 1000)
 );
+// ~2× heartbeat without data counts as "offline" (also used for the digest's offline time)
+const OFFLINE_AFTER_MS = Math.max(30, HEARTBEAT_SEC) * 1000 * 2;
 // Alert cooldown knob -> prevents spamming alerts, and we expect 900/60 ~ 15 minutes of relief
 const COOLDOWN_SEC = Number(process.env.ALERT_COOLDOWN_SEC ?? 900);
 // Spike cooldown knob -> expects a massive delta > 1.5 temperature reading to send alerts if out of set temperature range
 const SPIKE_C = Number(process.env.SPIKE_C ?? 1.5);
+// Devices first seen at startup whose last reading is older than this are not reported offline
+const STALE_DEVICE_DAYS = Number(process.env.STALE_DEVICE_DAYS ?? 7);
+// An acknowledged excursion alerts again once it is this many °C further out of bounds than
+// when it was acknowledged (/config ack_worsen_margin_c overrides)
+const ACK_WORSEN_C = Number(process.env.ACK_WORSEN_C ?? 2);
+// Trend detection looks at this much recent history per device/channel, keeping at most one
+// point per TREND_SAMPLE_SEC, and needs TREND_MIN_POINTS spanning half the window to judge
+const TREND_WINDOW_MIN = Number(process.env.TREND_WINDOW_MIN ?? 30);
+const TREND_SAMPLE_SEC = Number(process.env.TREND_SAMPLE_SEC ?? 30);
+const TREND_MIN_POINTS = Number(process.env.TREND_MIN_POINTS ?? 6);
 
 // getConfig is a function variable that returns an empty object
 let getConfig = () => ({});
@@ -86,11 +58,35 @@ function setConfigGetter(fn) {
   if (typeof fn === "function") getConfig = fn;
 }
 
+// escalation chain for a device (array of levels after level 1, see escalation.js);
+// server.js resolves per-device overrides against the global chain
+let getEscalation = () => [];
+function setEscalationGetter(fn) {
+  if (typeof fn === "function") getEscalation = fn;
+}
+
+// builds the one-click acknowledgement link for an event ('' = no link); set by server.js
+let ackLinker = () => "";
+function setAckLinker(fn) {
+  if (typeof fn === "function") ackLinker = fn;
+}
+
+// maintenance window / snooze in force for a device: (id, now) -> { reason, until } or null;
+// set by server.js, which owns the per-device windows
+let getSuppression = () => null;
+function setSuppressionGetter(fn) {
+  if (typeof fn === "function") getSuppression = fn;
+}
+
 // Map() is a JavaScript Class that stores key-value pairs.
 // new is a keyword that creates a new object.
 // devices is a variable that points to the Map() object.
 const devices = new Map();
 
+// per physical device (multi-probe devices have one record per probe in `devices`):
+// id -> { lastAlertAt } for events about the whole device (offline)
+const physical = new Map();
+
 // Utility for cooldown function
 // function takes in a state, a key, and the current time
 function shouldCooldown(state, key, now) {
@@ -117,273 +113,237 @@ function shouldCooldown(state, key, now) {
   return true;
 }
 
-// Function for Parsing email detail
-// takes in s as a parameter of any type
-function parseRecipients(s) {
-  // if s exists return empty
-  if (!s) return [];
-  // return the string as formatted
-  return String(s)
-  // split based on comma, whitespace, semicolon (one or more in the line)
-    .split(/[,\s;]+/)
-    // map is an array method
-    // set x to trim spaces at the start and end to all of x
-    .map(x => x.trim())
-    // keep only truthy values
-    // falsey values are things like "", undefined, null, 0, false, NaN
-    .filter(Boolean);
-}
-
-// asynchronous sleep function with millisecond parameter
-async function sleep(ms){ 
-  // a promise represents a value that will be available later
-  // setTimeout is a command that waits based on ms and calls r() to resolve its promise
-  return new Promise(r => setTimeout(r, ms)); 
-}
-
-// asynchronous retry function with fn as a parameter
-// { tries=2, baseMs=600 } = {} is a destructured options object
-// default values tries=2, baseMs=600, if caller doesn't pass any options, leave empty
-async function withRetries(fn, { tries=2, baseMs=600 } = {}) {
-  // last will store last result
-  let last;
-  // for loop to iterate from 0 to the number of tries
-  for (let i = 0; i < tries; i++) {
-    // set last to function
-    last = await fn();
-    // if statement to check if last ANDed last.ok, return last if true
-    if (last && last.ok) return last;
-    // wait for sleep if fail -> sleep is a backoff delay
-    // baseMS x 2^i + random jitters
-    // we add random jitters to avoid servers retrying at the same time
-    await sleep(baseMs * Math.pow(2, i) + Math.floor(Math.random()*120));
-  }
-  // return last or ok
-  return last || { ok: false };
-}
-
-
-// asynchronous function for sending emails with parameters subject, text, html, and to
-async function sendEmail({ subject, text, html, to }) {
-  // try
-  try {
-    // we set the config to our getter function
-    const cfg = getConfig() || {};
-    // check if alerts are enabled
-    const alertsEnabled = !!cfg.alerts_enabled;
-    // check if emailEnabled is not equal to undefined for both value and datatype
-    // ternary expression that if email_enabled is defined, validate it, else true
-    const emailEnabled = cfg.email_enabled !== undefined ? !!cfg.email_enabled : true;
-
-    // if statement checking if alerts or email isn't enabled
-    if (!alertsEnabled || !emailEnabled) {
-      // return an object with populated fields, ok: false, skipped: true, reason: 'email disabled in config'
-      return { ok: false, skipped: true, reason: 'email disabled in config' };
-    }
 
-    // initialize recipients to be empty
-    let recipients = [];
-    // check if to exists
-    if (to) {
-      // true -> check for "to" if it is an array and set recipients a "to" array, else set it to "to"
-      recipients = Array.isArray(to) ? to : [to];
-    } 
-    else {
-      // parseRecipients to recipients with alert_to_email, or .env, or nothing
-      recipients = parseRecipients(cfg.alert_to_email || process.env.ALERT_TO_EMAIL || '');
-    }
-    // if recipient length is equal to 0 both in value and datatype
-    if (recipients.length === 0) {
-      // return the populated fields for ok -> false, skipped -> true, reason -> 'no recipients configured'
-      return { ok: false, skipped: true, reason: 'no recipients configured' };
-    }
-
-    // sets the from address to the from email via .env file
-    const fromAddr =
-      (cfg.alert_from_email && String(cfg.alert_from_email).trim()) ||
-      process.env.ALERT_FROM_EMAIL ||
-      process.env.SMTP_USER ||
-      'alerts@example.com';
-
-    // provider is set .env file email or smtp and lower casify it
-    const provider = (process.env.EMAIL_PROVIDER || 'smtp').toLowerCase();
-
-    // checks if the provider is equal to the value and its datatype
-    if (provider === 'resend') {
-      // set api key or none
-      const apiKey = process.env.RESEND_API_KEY || '';
-      // checks if apikey is nonexistent, set populated fields
-      if (!apiKey) return { ok: false, skipped: true, reason: 'missing RESEND_API_KEY' };
-
-      // fn is set to be an async function
-      const fn = async () => {
-        //try
-        try {
-          // AbortController is a built-in browser / Node API that let's us start async operation
-          // and cancel whenever we want
-          // set controller to a new object under the AbortController class
-          const controller = new AbortController();
-          // set timeout with controller to abort, with 20 sec cap
-          const t = setTimeout(() => controller.abort(), 20000);
-          // set res to await and fetch the resend api email calls
-          const res = await fetch('https://api.resend.com/emails', {
-            // populated fields
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              from: fromAddr,
-              to: recipients,
-              subject,
-              text,
-              html
-            }),
-            signal: controller.signal
-          }).finally(() => clearTimeout(t));
-
-          // checks for if resend exists or if populated ok exists
-          if (!res || !res.ok) {
-            // if resend exists catch the text else leave empty
-            const body = res ? await res.text().catch(()=> '') : '';
-            // issue warning error with res and an optional status with body
-            console.warn('Resend email HTTP err:', res?.status, body);
-            // populate ok field
-            return { ok: false };
-          }
-          // set data to await for resend json file to catch in empty field
-          const data = await res.json().catch(()=> ({}));
-          // return ok field, and id field
-          return { ok: true, id: data.id };
-        }
-        // error catch 
-        catch (e) {
-          // issue error warning for email network with optional message or error
-          console.warn('Resend email network error:', e?.message || e);
-          // populate ok field
-          return { ok: false };
-        }
-      };
-
-      // return to await for retry function with following fn and default fields
-      return await withRetries(fn, { tries: 2, baseMs: 700 });
-    }
-
-    // Provider -> SMTP (nodemailer)
-    if (provider === 'smtp') {
-      // we check for SMTP .env and if smtp exists
-      if (!smtpEnvReady || !smtp) {
-        // return the following fields if failure
-        return { ok: false, skipped: true, reason: 'SMTP_* env missing' };
-      }
-      try {
-        // try to send an email with the following fields
-        const info = await smtp.sendMail({
-          from: fromAddr,
-          to: recipients.join(','),
-          subject,
-          text: text || (html ? undefined : '(no body)'),
-          html
-        });
-        // if info does not exist or the accepted field failed, or it length != 0
-        //error handle
-        if (!info || !info.accepted || info.accepted.length === 0) {
-          console.warn('SMTP did not accept any recipients:', info);
-          return { ok: false };
-        }
-        return { ok: true, id: info.messageId };
-      }
-      //catch error 
-      catch (e) {
-        // send error message
-        console.warn('SMTP send error:', e?.message || e);
-        return { ok: false };
-      }
-    }
+// "DEV1" or "DEV1 [top shelf]" for channel events
+function evtLabel(evt) {
+  return evt.channel ? `${evt.id} [${evt.channelName || evt.channel}]` : evt.id;
+}
 
-    // Unknown provider
-    return { ok: false, skipped: true, reason: `unknown provider ${provider}` };
-  } catch (e) {
-    console.warn('Email send exception:', e);
-    return { ok: false };
-  }
+// state map key: the device id, or device + probe channel for multi-probe devices
+function stateKey(id, channel) {
+  return channel ? `${id}#${channel}` : id;
 }
 
-// Normalize & fan-out an event to email + optional notifier (e.g., Discord)
+// Normalize an event into a message and hand it to the notifier (notification channels)
 async function emitEvent(evt) {
-  // evt: { kind, id, t, lower, upper, when, sr }
+  // evt: { kind, severity, id, channel, channelName, t, lower, upper, when, sr }
+  evt = { ...evt, severity: eventSeverity(evt) };
   const when = evt.when || new Date().toISOString();
   const lower = evt.lower;
   const upper = evt.upper;
+  // multi-probe devices name the channel next to the device id
+  const who = evtLabel(evt);
+
+  // maintenance window / snooze: state keeps updating, notifications are held back
+  // (acknowledgements and the end-of-window summary still go out)
+  if (evt.kind !== "ack" && evt.kind !== "maintenance_end") {
+    const sup = getSuppression(evt.id, Date.now());
+    if (sup) {
+      const rec = devices.get(stateKey(evt.id, evt.channel)) || devices.get(evt.id);
+      if (rec) {
+        rec.maintenance ||= { since: new Date().toISOString(), reason: sup.reason, suppressed: 0 };
+        rec.maintenance.suppressed++;
+        stateChanged();
+      }
+      console.log(`suppressed ${evt.kind} for ${who} (${sup.reason})`);
+      recordEvent({ ...evt, when }, [], sup.reason);
+      return;
+    }
+  }
 
   let subject, text;
+  // escalation levels have their own email recipients (to replaces the device's list);
+  // a recovery also goes to every level that was escalated to (cc adds to it)
+  let to, cc;
 
   // switch statement for different event types such as when
   // temperature is out of set range, in recovery, a sensor fault,
   // offline, back online, and heartbeat temperature recording.
   switch (evt.kind) {
-    case "alert":
-      subject = `🚨 ${evt.id} out of range: ${evt.t}°C (bounds ${lower}..${upper})`;
-      text = `[${when}] ALERT: ${evt.id} at ${evt.t}°C (bounds ${lower}..${upper})`;
+    case "alert": {
+      // warnings name the warning band, critical alerts the (critical) bounds
+      const warn = evt.severity === "warning";
+      const what = warn ? "outside warning band" : "out of range";
+      const bounds = `${warn ? "warning band" : "bounds"} ${lower}..${upper}`;
+      subject = `${warn ? "⚠️" : "🚨"} ${who} ${what}: ${evt.t}°C (${bounds})${evt.worseSinceAck ? " and getting worse" : ""}`;
+      text = `[${when}] ${warn ? "WARNING" : "CRITICAL"}: ${who} at ${evt.t}°C (${bounds})`;
+      if (evt.upgradedFrom) text += `, was ${evt.upgradedFrom}`;
+      if (evt.outOfRangeSince) {
+        text += `, out of range for ${Math.round((Date.parse(when) - evt.outOfRangeSince) / 60000)} min`;
+      }
+      if (evt.worseSinceAck) {
+        text += ` — worse than when ${evt.worseSinceAck.by} acknowledged it at ${evt.worseSinceAck.at} (${evt.worseSinceAck.t}°C); acknowledgement cleared`;
+      }
+      break;
+    }
+    case "trend": {
+      // warming fast and/or heading for the upper bound while still in range
+      const eta = Number.isFinite(evt.etaMin) ? `, projected to cross ${upper}°C in ~${evt.etaMin} min` : "";
+      subject = `📈 ${who} warming ${evt.rateCPerH}°C/h at ${evt.t}°C${eta}`;
+      text = `[${when}] TREND: ${who} at ${evt.t}°C rising ${evt.rateCPerH}°C/hour over the last ${TREND_WINDOW_MIN} min${eta} (bounds ${lower}..${upper})`;
+      break;
+    }
+    case "maintenance_end": {
+      // the window is over but the device isn't back to normal: one summary
+      const state = evt.problems.map(p => `${p.label}: ${p.status === "fault" ? "sensor fault" : `${p.t}°C (bounds ${p.lower}..${p.upper})`}`).join("; ");
+      subject = `🛠️ ${who} still not OK after ${evt.reason}`;
+      text = `[${when}] MAINTENANCE OVER: ${who} ${state}. ${evt.suppressed} notification(s) were held back since ${evt.since}.`;
+      break;
+    }
+    case "ack":
+      subject = `👍 ${who} acknowledged by ${evt.by}`;
+      text = `[${when}] ACK: ${evt.by} is on ${who}${evt.note ? ` (${evt.note})` : ""}; repeats are paused until it recovers or gets worse`;
       break;
     case "recover":
-      subject = `✅ ${evt.id} recovered: ${evt.t}°C within bounds`;
-      text = `[${when}] RECOVERED: ${evt.id} at ${evt.t}°C within bounds ${lower}..${upper})`;
+      if (evt.partial) {
+        // critical -> warning
+        subject = `↘️ ${who} back within critical bounds: ${evt.t}°C, still outside warning band`;
+        text = `[${when}] EASED: ${who} at ${evt.t}°C is back within bounds ${lower}..${upper} but still a warning`;
+      } else {
+        subject = `✅ ${who} recovered: ${evt.t}°C within bounds`;
+        text = `[${when}] RECOVERED: ${who} at ${evt.t}°C within bounds ${lower}..${upper}`;
+      }
+      if (evt.escalatedTo?.length) cc = evt.escalatedTo;
       break;
-    case "fault":
-      subject = `⚠️ ${evt.id} sensor fault (sr=0x${(evt.sr >>> 0).toString(
-        16
-      )})`;
-      text = `[${when}] FAULT: ${evt.id} status=0x${(evt.sr >>> 0).toString(
-        16
-      )}`;
+    case "escalation": {
+      // still out of range / faulted after the level's after_min
+      const mins = Math.round((Date.parse(when) - evt.since) / 60000);
+      const state = evt.status === "fault" ? "sensor fault" : `out of range at ${evt.t}°C (bounds ${lower}..${upper})`;
+      subject = `⏫ ${who} unresolved for ${mins} min: escalated to ${evt.levelName} (level ${evt.level})`;
+      text = `[${when}] ESCALATION L${evt.level} (${evt.levelName}): ${who} ${state} since ${new Date(evt.since).toISOString()}`;
+      to = parseRecipients(evt.emails);
       break;
+    }
+    case "fault": {
+      // named bits from the sensor's status register map
+      const label = describeSr(evt.decoded || decodeSr(evt.sr, undefined, getConfig().sr_maps));
+      subject = `⚠️ ${who} sensor fault: ${label}`;
+      text = `[${when}] FAULT: ${who} ${label}`;
+      break;
+    }
     case "offline":
-      subject = `❌ ${evt.id} offline (no data)`;
-      text = `[${when}] OFFLINE: ${evt.id} missed heartbeats`;
+      subject = `❌ ${who} offline (no data)`;
+      text = `[${when}] OFFLINE: ${who} missed heartbeats${evt.channels?.length ? ` (probes: ${evt.channels.join(", ")})` : ""}`;
       break;
     case "online":
-      subject = `🟢 ${evt.id} back online`;
-      text = `[${when}] ONLINE: ${evt.id} resumed sending data`;
+      subject = `🟢 ${who} back online`;
+      text = `[${when}] ONLINE: ${who} resumed sending data`;
+      break;
+    case "rejects":
+      subject = `🧪 ${who} sending bad data: ${evt.count} rejected readings in ${evt.windowMin} min`;
+      text = `[${when}] REJECTS: ${who} had ${evt.count} payloads quarantined in the last ${evt.windowMin} min (latest reason: ${evt.reason})`;
       break;
     case "heartbeat":
     default:
-      subject = `ℹ️ ${evt.id} heartbeat`;
-      text = `[${when}] HEARTBEAT: ${evt.id} t=${evt.t ?? "—"}°C`;
+      subject = `ℹ️ ${who} heartbeat`;
+      text = `[${when}] HEARTBEAT: ${who} t=${evt.t ?? "—"}°C`;
       break;
   }
 
-  // we await to send an email with subject and the text
-  await sendEmail({ subject, text });
+  // severity up front in the subject line (recoveries and acknowledgements keep theirs only
+  // for routing: they are good news)
+  if (evt.severity !== "info" && evt.kind !== "recover" && evt.kind !== "ack") subject = `[${evt.severity.toUpperCase()}] ${subject}`;
+
+  // one-click acknowledgement link for anything that can still be acknowledged
+  // (also handed to the notifier on its own, for the HTML email's button)
+  let ackUrl = "";
+  if (["alert", "fault", "escalation"].includes(evt.kind)) {
+    ackUrl = ackLinker(evt);
+    if (ackUrl) text += `\n\nAcknowledge (pauses repeats until it recovers or gets worse): ${ackUrl}`;
+  }
+
+  // outcome per delivery channel, kept in the event history
+  const deliveries = [];
 
-  // Discord 
   // check notifier for datatype and value
   if (typeof notifier === "function") {
     try {
-      // await for the notifier with the populated fields and spread
+      // the notifier gets the message and answers with one result per channel
       // spread syntax/operator allows for an iterable array expression
-      await notifier({ ...evt, lower, upper, when });
+      const results = await notifier({ evt: { ...evt, lower, upper, when }, severity: evt.severity, subject, text, ...(ackUrl ? { ack_url: ackUrl } : {}), ...(to ? { to } : {}), ...(cc ? { cc } : {}) });
+      for (const r of [].concat(results || [])) deliveries.push(deliveryResult(r.via || "notifier", r));
     } 
     catch (e) {
       // notifier error
       console.warn("Notifier error:", e);
+      deliveries.push({ via: "notifier", result: "failed", reason: e?.message || String(e) });
     }
   }
+
+  recordEvent({ ...evt, lower, upper, when }, deliveries);
+}
+
+// sender result ({ ok, skipped, queued, batched, held, reason, status, id, to, provider, attempts }) -> delivery entry
+// for the history; email results name the provider that delivered and the ones it failed over from
+function deliveryResult(via, r) {
+  if (!r) return { via, result: "failed", reason: "no result" };
+  const failover = {
+    ...(r.provider ? { provider: r.provider } : {}),
+    ...(r.attempts ? { attempts: r.attempts.map(a => ({ provider: a.provider, result: a.skipped ? "skipped" : "failed", ...(a.status !== undefined ? { status: a.status } : {}), reason: a.reason })) } : {}),
+  };
+  if (r.ok) return { via, result: "ok", ...(r.status ? { status: r.status } : {}), ...(r.id ? { id: r.id } : {}), ...(r.to ? { to: r.to } : {}), ...failover };
+  if (r.skipped) return { via, result: "skipped", reason: r.reason, ...failover };
+  // held back to go out together with other events (outbox batching)
+  if (r.batched) return { via, result: "batched", job: r.job, next_at: r.next_at, reason: r.reason };
+  // waiting for the recipients' quiet hours to end (on-call schedule)
+  if (r.held) return { via, result: "held", job: r.job, next_at: r.next_at, reason: r.reason };
+  // failed for now; the outbox retries it (job = outbox id, next_at = next try)
+  if (r.queued) return { via, result: "queued", job: r.job, next_at: r.next_at, ...(r.status !== undefined ? { status: r.status } : {}), reason: r.reason, ...failover };
+  return {
+    via,
+    result: "failed",
+    ...(r.status !== undefined ? { status: r.status } : {}),
+    reason: r.reason || (r.body ? String(r.body).slice(0, 200) : undefined),
+    // given up on: the outbox keeps it on its dead-letter list
+    ...(r.job ? { job: r.job } : {}),
+    ...failover,
+  };
+}
+
+// event history sink (server.js persists it); suppressed = why nothing was sent
+let eventListener = null;
+function setEventListener(fn) {
+  eventListener = fn;
+}
+function recordEvent(evt, deliveries, suppressed) {
+  if (typeof eventListener !== "function") return;
+  try { eventListener(evt, deliveries, suppressed); } catch (e) { console.warn("Event listener error:", e); }
 }
 
 // notifier is instantiate to be set as null
 // setnotifier is a setter to set notifier
+// notifier({ evt, severity, subject, text, to?, cc? }) -> [{ via, ok | skipped, status?, reason? }, …]
 let notifier = null;
 function setNotifier(fn) {
   notifier = fn;
 }
 
+// state listener is told whenever device state changes (server.js persists it)
+let stateListener = null;
+function setStateListener(fn) {
+  stateListener = fn;
+}
+function stateChanged() {
+  if (typeof stateListener === "function") {
+    try { stateListener(); } catch (e) { console.warn("State listener error:", e); }
+  }
+}
+
 // updater helper function for temperature readings
-function updateReading({ id, t, sr = 0, ts = Date.now(), lower, upper }) {
+// channel/channelName are set for multi-probe devices; state is then tracked per channel
+// delayMin: minutes a reading must stay out of range before it alerts (0 = immediately)
+// hysteresisC: an alert only recovers once the reading is this far back inside the bounds
+// trendRateCPerH / trendHorizonMin: warming-rate and projected-crossing alerts (0 = off)
+// lower/upper are the critical bounds; warnLower/warnUpper (optional) the narrower warning band
+function updateReading({ id, channel, channelName, t, sr = 0, ts = Date.now(), lower, upper, warnLower, warnUpper, delayMin = 0, hysteresisC = 0, trendRateCPerH = 0, trendHorizonMin = 0, sensorType }) {
   const now = ts;
+  const key = stateKey(id, channel);
+  // identity fields every event from this reading carries
+  const ident = { id, channel, channelName };
   const rec =
-    devices.get(id) || {
+    devices.get(key) || {
+      deviceId: id,
+      channel,
       lastTs: 0,
       lastTemp: undefined,
       lastSr: 0,
@@ -391,25 +351,72 @@ function updateReading({ id, t, sr = 0, ts = Date.now(), lower, upper }) {
       lastAlertAt: {},
       lastOnlineAt: 0,
     };
+  // registered up front so events raised below can find the record (maintenance counts)
+  devices.set(key, rec);
 
   // update wasStatus and wasOffline
   const wasStatus = rec.status;
   const wasOffline = wasStatus === "offline";
 
-  // Basic fault flag check: any non-zero SR considered "fault"
-  const faultNow = (sr >>> 0) !== 0;
+  // Decode the status register; only bits mapped as "fault" (or unmapped bits) count,
+  // "warning" bits are kept on the state for display but don't change the status
+  const decoded = decodeSr(sr, sensorType, getConfig().sr_maps);
+  const faultNow = decoded.faults.length > 0;
 
   const lowerNow = lower;
   const upperNow = upper;
+  // the warning band sits inside the critical bounds (without one there are no warnings)
+  const band = warningBand(warnLower, warnUpper, lowerNow, upperNow);
+
+  // Out of range right now, and since when (cleared as soon as a reading is back in bounds)
+  const outCritical = typeof t === "number" && (t < lowerNow || t > upperNow);
+  const outWarning = outCritical || (!!band && typeof t === "number" && (t < band.lower || t > band.upper));
+  if (!outWarning) rec.outOfRangeSince = undefined;
+  else if (!rec.outOfRangeSince) rec.outOfRangeSince = now;
+  if (!outCritical) rec.criticalSince = undefined;
+  else if (!rec.criticalSince) rec.criticalSince = now;
+
+  // Recovery bands: the bounds shrunk by the hysteresis (ignored if that leaves no band)
+  const inBand = (lo, hi) => {
+    const h = hysteresisC > 0 && lo + hysteresisC < hi - hysteresisC ? hysteresisC : 0;
+    return typeof t === "number" && t >= lo + h && t <= hi - h;
+  };
 
   // Determine current status based on temp & fault
+  // (an active severity holds until the reading is inside that band's recovery band;
+  // a new excursion has to last delayMin before it counts: door openings, defrost cycles)
   let statusNow = "normal";
   if (faultNow) statusNow = "fault";
-  else if (typeof t === "number" && (t < lowerNow || t > upperNow))
-    statusNow = "alert";
+  else if (wasStatus === "critical" && !inBand(lowerNow, upperNow)) statusNow = "critical";
+  else if (outCritical && now - rec.criticalSince >= delayMin * 60000) statusNow = "critical";
+  else if (band && SEVERITY_RANK[wasStatus] && !inBand(band.lower, band.upper)) statusNow = "warning";
+  else if (band && outWarning && now - rec.outOfRangeSince >= delayMin * 60000) statusNow = "warning";
+
+  // Excursion bookkeeping: leaving normal starts the clock (checkEscalations() walks the chain
+  // for critical/fault while it stays unresolved and unacknowledged), going back to normal
+  // ends it and any acknowledgement. A change of severity starts a new excursion.
+  const wasRank = SEVERITY_RANK[wasStatus] || 0;
+  const nowRank = SEVERITY_RANK[statusNow] || 0;
+  // bounds of the band that's crossed, for messages and the acknowledgement margin
+  const alertLower = statusNow === "warning" ? band.lower : lowerNow;
+  const alertUpper = statusNow === "warning" ? band.upper : upperNow;
+  // critical -> warning: the people paged about the critical excursion hear it eased
+  const eased = nowRank && wasRank > nowRank ? escalatedRecipients(rec) : undefined;
+  if (statusNow === "normal") {
+    rec.escalation = undefined;
+    rec.ack = undefined;
+  } else if (nowRank && wasRank && nowRank !== wasRank) {
+    rec.escalation = { since: now, level: 0 };
+    rec.ack = undefined;
+  } else if (statusNow !== "offline" && !rec.escalation) {
+    rec.escalation = { since: now, level: 0 };
+  }
+  // excursion start, so emailed acknowledgement links name this excursion
+  const since = rec.escalation?.since;
 
-  // If previously offline and data now arrived, flip to online 
-  if (wasOffline) {
+  // If previously offline and data now arrived, flip to online
+  // (once per physical device: skip if another probe of it is already back)
+  if (wasOffline && !hasOnlineSibling(id, key)) {
     if (!shouldCooldown(rec, "online", now)) {
       emitEvent({
         kind: "online",
@@ -425,47 +432,121 @@ function updateReading({ id, t, sr = 0, ts = Date.now(), lower, upper }) {
 
   // Fault transition handling
   if (statusNow === "fault") {
-    if (!shouldCooldown(rec, "fault", now) || wasStatus !== "fault") {
+    // a different set of fault bits is news even inside the cooldown
+    const faultsChanged = (rec.faults || []).join("|") !== decoded.faults.join("|");
+    // acknowledged: only new fault bits get through (and end the acknowledgement)
+    const notify = rec.ack
+      ? faultsChanged
+      : !shouldCooldown(rec, "fault", now) || wasStatus !== "fault" || faultsChanged;
+    if (rec.ack && faultsChanged) rec.ack = undefined;
+    if (notify) {
       emitEvent({
         kind: "fault",
-        id,
+        ...ident,
+        since,
         t,
         sr,
+        decoded,
+        lower: lowerNow,
+        upper: upperNow,
+        when: new Date(now).toISOString(),
+      });
+    }
+  }
+
+  // Trend: warming rate over the recent readings, only while in range (once it's out of
+  // range the plain alert takes over) and not for faulted probes
+  if (typeof t === "number" && !faultNow) addTrendPoint(rec, now, t);
+  const trend = statusNow === "normal" ? warmingTrend(rec.recent, t, upperNow) : null;
+  const tooFast = trend && trendRateCPerH > 0 && trend.rateCPerH >= trendRateCPerH;
+  const crossingSoon = trend && trendHorizonMin > 0 && Number.isFinite(trend.etaMin) && trend.etaMin <= trendHorizonMin;
+  if (tooFast || crossingSoon) {
+    rec.trend = { rateCPerH: trend.rateCPerH, etaMin: trend.etaMin, at: new Date(now).toISOString() };
+    if (!shouldCooldown(rec, "trend", now)) {
+      emitEvent({
+        kind: "trend",
+        ...ident,
+        t,
+        rateCPerH: trend.rateCPerH,
+        etaMin: trend.etaMin,
         lower: lowerNow,
         upper: upperNow,
         when: new Date(now).toISOString(),
       });
     }
+  } else {
+    rec.trend = undefined;
   }
 
-  // Alert / recover handling
-  const wasAlert = wasStatus === "alert";
-  const nowAlert = statusNow === "alert";
-  if (nowAlert) {
+  // Alert / recover handling (warning and critical are the two alert severities)
+  if (nowRank && wasRank > nowRank) {
+    // critical -> warning: back inside the critical bounds, still outside the warning band
+    emitEvent({
+      kind: "recover",
+      ...ident,
+      severity: wasStatus,
+      partial: true,
+      t,
+      lower: lowerNow,
+      upper: upperNow,
+      when: new Date(now).toISOString(),
+      escalatedTo: eased,
+    });
+    rec.lastAlertAt.alert = now;
+  } else if (nowRank && rec.ack) {
+    // acknowledged: stay quiet unless it got worse by the margin, which ends the acknowledgement
+    if (outOfBoundsBy(t, alertLower, alertUpper) - rec.ack.excess >= ackMarginC()) {
+      const worseSinceAck = { by: rec.ack.by, at: rec.ack.at, t: rec.ack.t };
+      rec.ack = undefined;
+      rec.lastAlertAt.alert = now;
+      emitEvent({
+        kind: "alert",
+        ...ident,
+        severity: statusNow,
+        since,
+        t,
+        lower: alertLower,
+        upper: alertUpper,
+        worseSinceAck,
+        when: new Date(now).toISOString(),
+      });
+    }
+  } else if (nowRank) {
     // Reduce noise: large spikes trigger immediate, otherwise respect cooldown
+    // (warning -> critical always goes out)
     const spike =
       Number.isFinite(rec.lastTemp) && Math.abs(t - rec.lastTemp) >= SPIKE_C;
-    const key = "alert";
-    if (spike || !shouldCooldown(rec, key, now) || !wasAlert) {
+    // readings held in alert by the hysteresis band are back in bounds: no repeats for those
+    const outNow = statusNow === "critical" ? outCritical : outWarning;
+    if (outNow && (spike || !shouldCooldown(rec, "alert", now) || nowRank > wasRank)) {
+      rec.lastAlertAt.alert = now;
       emitEvent({
         kind: "alert",
-        id,
+        ...ident,
+        severity: statusNow,
+        ...(wasRank ? { upgradedFrom: wasStatus } : {}),
+        since,
         t,
-        lower: lowerNow,
-        upper: upperNow,
+        lower: alertLower,
+        upper: alertUpper,
+        // set when the alert waited out a delay, so the message can say for how long
+        outOfRangeSince: delayMin > 0 ? rec.outOfRangeSince : undefined,
         when: new Date(now).toISOString(),
       });
     }
-  } else if (wasAlert && statusNow === "normal") {
+  } else if (wasRank && statusNow === "normal") {
     // back in range
     if (!shouldCooldown(rec, "recover", now)) {
       emitEvent({
         kind: "recover",
-        id,
+        ...ident,
+        severity: wasStatus,
         t,
-        lower: lowerNow,
-        upper: upperNow,
+        lower: band ? band.lower : lowerNow,
+        upper: band ? band.upper : upperNow,
         when: new Date(now).toISOString(),
+        // everyone who was paged about it hears that it's over
+        escalatedTo: escalatedRecipients(rec),
       });
     }
   }
@@ -474,49 +555,354 @@ function updateReading({ id, t, sr = 0, ts = Date.now(), lower, upper }) {
   rec.lastTs = now;
   rec.lastTemp = t;
   rec.lastSr = sr >>> 0;
+  rec.faults = decoded.faults;
+  rec.warnings = decoded.warnings;
+  rec.sensorType = decoded.type;
   rec.status = statusNow;
   rec.lastOnlineAt = now;
-  devices.set(id, rec);
+  rec.channelName = channelName;
+  // bounds in force, for events raised outside a reading (escalation)
+  rec.lower = lowerNow;
+  rec.upper = upperNow;
+  rec.warnLower = band?.lower;
+  rec.warnUpper = band?.upper;
+  devices.set(key, rec);
+  stateChanged();
+}
+
+// true if some other probe channel of this device is currently reporting
+function hasOnlineSibling(id, key) {
+  for (const [k, rec] of devices.entries()) {
+    if (k !== key && (rec.deviceId ?? k) === id && rec.status !== "offline") return true;
+  }
+  return false;
 }
 
 // Called periodically by server.js
 function checkHeartbeats() {
   const now = Date.now();
-  const offlineAfterMs = Math.max(30, HEARTBEAT_SEC) * 1000 * 2; // ~2× heartbeat as "offline"
+  const offlineAfterMs = OFFLINE_AFTER_MS;
   
-  // for loop to loop through id, record of device entries
-  for (const [id, rec] of devices.entries()) {
+  // physical device id -> channel records that just went offline
+  const wentOffline = new Map();
+
+  // for loop to loop through key, record of device entries
+  for (const [key, rec] of devices.entries()) {
     const since = now - (rec.lastTs || 0);
     const isOffline = since >= offlineAfterMs;
 
     //check if is offline and rec status is not equal to offline
     if (isOffline && rec.status !== "offline") {
-      if (!shouldCooldown(rec, "offline", now)) {
-        emitEvent({
-          kind: "offline",
-          id,
-          when: new Date(now).toISOString(),
-        });
-      }
+      const id = rec.deviceId ?? key;
+      if (!wentOffline.has(id)) wentOffline.set(id, []);
+      wentOffline.get(id).push(rec);
       rec.status = "offline";
-      devices.set(id, rec);
+      devices.set(key, rec);
+    }
+  }
+
+  // one offline event per physical device, listing its probes
+  for (const [id, recs] of wentOffline) {
+    // cooldown is tracked per physical device, whichever probes went quiet
+    if (!physical.has(id)) physical.set(id, { lastAlertAt: {} });
+    if (!shouldCooldown(physical.get(id), "offline", now)) {
+      const channels = recs.filter(r => r.channel).map(r => r.channelName || r.channel);
+      emitEvent({
+        kind: "offline",
+        id,
+        channels: channels.length ? channels : undefined,
+        when: new Date(now).toISOString(),
+      });
+    }
+  }
+  if (wentOffline.size) stateChanged();
+}
+
+// Called periodically by server.js: note which devices are in a maintenance window / snooze,
+// and when one ends with the device still out of range or faulted, send one summary per
+// physical device (and restart its escalation clock from now)
+function checkMaintenance(now = Date.now()) {
+  const ended = new Map();
+  let changed = false;
+  for (const [key, rec] of devices.entries()) {
+    const id = rec.deviceId ?? key;
+    const sup = getSuppression(id, now);
+    if (sup) {
+      if (!rec.maintenance) {
+        rec.maintenance = { since: new Date(now).toISOString(), reason: sup.reason, suppressed: 0 };
+        changed = true;
+      }
+      continue;
+    }
+    if (!rec.maintenance) continue;
+    if (!ended.has(id)) ended.set(id, []);
+    ended.get(id).push(rec);
+  }
+
+  for (const [id, recs] of ended) {
+    const problems = recs.filter(r => SEVERITY_RANK[r.status] || r.status === "fault");
+    if (problems.length) {
+      const first = recs[0].maintenance;
+      emitEvent({
+        kind: "maintenance_end",
+        severity: problems.some(r => r.status !== "warning") ? "critical" : "warning",
+        id,
+        reason: first.reason,
+        since: first.since,
+        suppressed: recs.reduce((n, r) => n + (r.maintenance.suppressed || 0), 0),
+        problems: problems.map(r => ({
+          label: r.channel ? (r.channelName || r.channel) : id,
+          status: r.status,
+          t: r.lastTemp,
+          lower: r.status === "warning" ? r.warnLower : r.lower,
+          upper: r.status === "warning" ? r.warnUpper : r.upper,
+        })),
+        when: new Date(now).toISOString(),
+      });
+      for (const r of problems) {
+        if (r.escalation) r.escalation = { since: now, level: 0 };
+      }
+    }
+    for (const r of recs) r.maintenance = undefined;
+    changed = true;
+  }
+  if (changed) stateChanged();
+}
+
+// email recipients of the chain levels this excursion has already escalated to
+function escalatedRecipients(rec) {
+  const notified = rec.escalation?.level || 0;
+  if (!notified) return undefined;
+  const levels = getEscalation(rec.deviceId, rec.channel) || [];
+  return levels.slice(0, notified).flatMap(l => parseRecipients(l.emails));
+}
+
+// Called periodically by server.js: notify the next chain level(s) for excursions that are
+// still unresolved after their after_min
+function checkEscalations(now = Date.now()) {
+  let changed = false;
+  for (const [key, rec] of devices.entries()) {
+    // acknowledged excursions don't escalate (someone is on it), nor do devices in maintenance;
+    // warnings never escalate
+    if (!rec.escalation || rec.ack || (rec.status !== "critical" && rec.status !== "fault")) continue;
+    if (getSuppression(rec.deviceId ?? key, now)) continue;
+    const levels = getEscalation(rec.deviceId ?? key, rec.channel) || [];
+    const due = dueLevels(levels, rec.escalation.since, now);
+    for (let i = rec.escalation.level; i < due; i++) {
+      const l = levels[i];
+      emitEvent({
+        kind: "escalation",
+        id: rec.deviceId ?? key,
+        channel: rec.channel,
+        channelName: rec.channelName,
+        status: rec.status,
+        t: rec.lastTemp,
+        sr: rec.lastSr,
+        lower: rec.lower,
+        upper: rec.upper,
+        since: rec.escalation.since,
+        level: i + 2,
+        levelName: l.name,
+        emails: l.emails,
+        discord_webhook_url: l.discord_webhook_url,
+        when: new Date(now).toISOString(),
+      });
+    }
+    if (due > rec.escalation.level) {
+      rec.escalation.level = due;
+      changed = true;
     }
   }
+  if (changed) stateChanged();
+}
+
+// keep a thinned-out window of recent [ts, temp] points for trend detection
+function addTrendPoint(rec, now, t) {
+  const pts = (rec.recent || []).filter(([ts]) => now - ts <= TREND_WINDOW_MIN * 60000 && ts <= now);
+  const lastPt = pts[pts.length - 1];
+  if (!lastPt || now - lastPt[0] >= TREND_SAMPLE_SEC * 1000) pts.push([now, t]);
+  rec.recent = pts;
+}
+
+// least-squares slope of the window -> { rateCPerH, etaMin } when warming, else null
+// (etaMin: minutes until the current reading reaches upper at that rate)
+function warmingTrend(pts, t, upper) {
+  if (!pts || pts.length < TREND_MIN_POINTS) return null;
+  const spanMs = pts[pts.length - 1][0] - pts[0][0];
+  if (spanMs < TREND_WINDOW_MIN * 60000 / 2) return null;
+  const n = pts.length;
+  const mx = pts.reduce((a, [x]) => a + x, 0) / n;
+  const my = pts.reduce((a, [, y]) => a + y, 0) / n;
+  let num = 0, den = 0;
+  for (const [x, y] of pts) { num += (x - mx) * (y - my); den += (x - mx) ** 2; }
+  if (!den) return null;
+  const perMs = num / den;
+  if (perMs <= 0) return null;
+  const rateCPerH = Math.round(perMs * 3600000 * 100) / 100;
+  const etaMin = Number.isFinite(upper) && t < upper ? Math.round((upper - t) / perMs / 60000) : undefined;
+  return { rateCPerH, etaMin };
+}
+
+// alert severities, in order (statuses "warning" / "critical"; other statuses rank 0)
+const SEVERITY_RANK = { warning: 1, critical: 2 };
+
+// the warning band clipped to the critical bounds -> { lower, upper }, or null without one
+// (either side may be left open: it then falls back to the critical bound)
+function warningBand(warnLower, warnUpper, lower, upper) {
+  const lo = typeof warnLower === "number" ? Math.max(warnLower, lower) : lower;
+  const hi = typeof warnUpper === "number" ? Math.min(warnUpper, upper) : upper;
+  if ((lo === lower && hi === upper) || lo >= hi) return null;
+  return { lower: lo, upper: hi };
+}
+
+// severity an event is routed by: alerts carry their own, the rest follow their kind
+function eventSeverity(evt) {
+  if (evt.severity) return evt.severity;
+  if (["fault", "escalation", "offline"].includes(evt.kind)) return "critical";
+  if (["trend", "rejects"].includes(evt.kind)) return "warning";
+  return "info";
+}
+
+// °C outside the bounds (0 when inside)
+function outOfBoundsBy(t, lower, upper) {
+  if (typeof t !== "number") return 0;
+  return Math.max(0, lower - t, t - upper);
+}
+
+// margin an acknowledged excursion may worsen by before alerting again
+function ackMarginC() {
+  const v = Number(getConfig().ack_worsen_margin_c);
+  return Number.isFinite(v) && v >= 0 ? v : ACK_WORSEN_C;
+}
+
+// Acknowledge the open excursion of a device/channel ("I'm on it"): repeat alerts and
+// escalation stop until it recovers, gets worse by ackMarginC(), or shows new fault bits.
+// since (optional) pins the excursion an emailed link was sent for.
+// Returns { ok, ack } or { error, code }.
+function acknowledge(id, channel, { by, note, via = "admin", since, now = Date.now() } = {}) {
+  const key = stateKey(id, channel);
+  const rec = devices.get(key);
+  if (!rec || !rec.escalation || (!SEVERITY_RANK[rec.status] && rec.status !== "fault")) {
+    return { error: "nothing to acknowledge (not in warning, critical or fault)", code: 409 };
+  }
+  if (since !== undefined && rec.escalation.since !== since) {
+    return { error: "that alert is over; a newer one is open", code: 409 };
+  }
+  if (rec.ack) return { ok: true, ack: rec.ack, already: true };
+
+  rec.ack = {
+    by: String(by || "someone").slice(0, 80),
+    at: new Date(now).toISOString(),
+    via,
+    ...(note ? { note: String(note).slice(0, 200) } : {}),
+    t: rec.lastTemp,
+    // (a faulted probe's temperature means nothing, so measure from the bounds)
+    excess: rec.status === "warning" ? outOfBoundsBy(rec.lastTemp, rec.warnLower, rec.warnUpper)
+      : rec.status === "critical" ? outOfBoundsBy(rec.lastTemp, rec.lower, rec.upper) : 0,
+  };
+  stateChanged();
+  // let everyone else know they don't need to go
+  emitEvent({
+    kind: "ack",
+    severity: rec.status === "fault" ? "critical" : rec.status,
+    id: rec.deviceId ?? id,
+    channel: rec.channel,
+    channelName: rec.channelName,
+    t: rec.lastTemp,
+    lower: rec.lower,
+    upper: rec.upper,
+    by: rec.ack.by,
+    note: rec.ack.note,
+    when: rec.ack.at,
+  });
+  return { ok: true, ack: rec.ack };
 }
 
-//function to get states of all device entries
+//function to get states of all device entries (id is the physical device, channel the probe)
 function getStates() {
-  return [...devices.entries()].map(([id, s]) => ({ id, ...s }));
+  // (the trend window is internal and left out)
+  return [...devices.entries()].map(([key, { recent: _recent, ...s }]) => ({ id: s.deviceId ?? key, ...s }));
+}
+
+// plain object copy of the device map, for persisting across restarts
+function exportState() {
+  return Object.fromEntries(devices);
+}
+
+// same for the per-physical-device records
+function exportDeviceState() {
+  return Object.fromEntries(physical);
+}
+
+// load persisted device state (replaces whatever is in memory)
+function importState(obj, deviceObj) {
+  physical.clear();
+  for (const [id, rec] of Object.entries(deviceObj || {})) {
+    if (rec && typeof rec === "object") physical.set(id, { lastAlertAt: {}, ...rec });
+  }
+  devices.clear();
+  for (const [id, rec] of Object.entries(obj || {})) {
+    if (!rec || typeof rec !== "object") continue;
+    // state saved before warning/critical tiers had a single "alert" status
+    devices.set(id, { lastAlertAt: {}, ...rec, ...(rec.status === "alert" ? { status: "critical" } : {}) });
+  }
+}
+
+// Reconcile one device against its newest stored reading after a restart.
+// Persisted state may lag the store by a few seconds (debounced saves), and devices that
+// were never persisted (first start after upgrade) get seeded so checkHeartbeats can see them.
+// Seeded devices whose last reading is older than STALE_DEVICE_DAYS are marked offline
+// silently instead of paging about freezers that were retired long ago.
+// For multi-probe devices call it once per channel with that channel's newest record.
+function reconcileDevice(id, latest, now = Date.now()) {
+  if (!latest || !Number.isFinite(latest.ts_ms)) return;
+  const key = stateKey(id, latest.channel);
+  const rec = devices.get(key);
+  if (!rec) {
+    const stale = now - latest.ts_ms > STALE_DEVICE_DAYS * 86400 * 1000;
+    devices.set(key, {
+      deviceId: id,
+      channel: latest.channel,
+      lastTs: latest.ts_ms,
+      lastTemp: latest.temp_c,
+      lastSr: latest.sr >>> 0,
+      status: stale ? "offline" : "normal",
+      lastAlertAt: {},
+      lastOnlineAt: latest.ts_ms,
+    });
+    return;
+  }
+  if (latest.ts_ms > (rec.lastTs || 0)) {
+    rec.lastTs = latest.ts_ms;
+    rec.lastTemp = latest.temp_c;
+    rec.lastSr = latest.sr >>> 0;
+  }
+}
+
+// send an event raised outside the reading pipeline (e.g. the ingest quarantine's
+// rejection-rate alert) through the same email + notifier fan-out
+function notify(evt) {
+  return emitEvent({ when: new Date().toISOString(), ...evt });
 }
 
 // function that creates the Alert Manager
 function createAlertManager() {
   return {
     updateReading,
+    notify,
     checkHeartbeats,
+    checkEscalations,
+    checkMaintenance,
+    acknowledge,
     setNotifier,
+    setStateListener,
+    setEventListener,
     getStates,
+    exportState,
+    exportDeviceState,
+    importState,
+    reconcileDevice,
   };
 }
 
-module.exports = { createAlertManager, setConfigGetter };
+module.exports = { createAlertManager, setConfigGetter, setEscalationGetter, setAckLinker, setSuppressionGetter, stateKey, OFFLINE_AFTER_MS };
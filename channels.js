@@ -0,0 +1,402 @@
+// channels.js
+// Notification channels. Each channel type has a config schema (fields), a formatter that turns
+// an alert message into the type's payload, and a sender that delivers it. Channel instances
+// are plain objects { id, type, name, enabled, ...fields } kept in /config (notify_channels);
+// the original email and Discord settings are served as the instances "email" and "discord"
+// (see server.js). Built-in types: email, discord, slack, teams, ntfy, webhook.
+//
+// A message is what alerts.js emits: { evt, subject, text, device } where evt is the alert event
+// (kind, id, channel, t, lower, upper, when, …) and device its display label. Types with a
+// formatBatch also take { batch: [messages] }, events the outbox held back and merged into one.
+// Senders return { ok, status?, id?, to? } or { ok: false, skipped?, status?, reason }.
+
+const crypto = require('crypto');
+const { sendEmail, parseRecipients } = require('./email');
+const { postToDiscord, buildFreezerEmbed } = require('./discord');
+const { describeSr } = require('./faults');
+const { emailPage } = require('./emailhtml');
+
+// per-request timeout for chat/webhook posts
+const CHANNEL_TIMEOUT_MS = Number(process.env.CHANNEL_TIMEOUT_MS ?? 15000);
+const NTFY_DEFAULT_SERVER = 'https://ntfy.sh';
+
+// one-line status per event kind, shared by the chat-style channels
+function headline(evt) {
+  switch (evt.kind) {
+    case 'recover':  return evt.partial ? '↘️ Eased (back within critical bounds, still a warning)' : '✅ Recovered (back in range)';
+    case 'offline':  return '❌ Offline';
+    case 'online':   return '🟢 Online';
+    case 'fault':    return `⚠️ Sensor Fault${evt.decoded?.faults?.length ? `: ${evt.decoded.faults.join(', ')}` : ''}`;
+    case 'escalation': return `⏫ Escalated to ${evt.levelName} (level ${evt.level})`;
+    case 'rejects':  return `🧪 ${evt.count} Rejected Readings (${evt.reason})`;
+    case 'heartbeat': return 'ℹ️ Heartbeat';
+    case 'trend':    return `📈 Warming ${evt.rateCPerH}°C/h${Number.isFinite(evt.etaMin) ? ` (crosses ${evt.upper}°C in ~${evt.etaMin} min)` : ''}`;
+    case 'maintenance_end': return `🛠️ Still Not OK After ${evt.reason === 'snooze' ? 'Snooze' : 'Maintenance'}`;
+    case 'ack':      return `👍 Acknowledged by ${evt.by}`;
+    case 'alert':
+    default: {
+      const base = evt.severity === 'warning' ? '⚠️ Warning: Outside Warning Band' : '🚨 Critical: Out of Range';
+      return evt.worseSinceAck ? `${base} (worse since acknowledged)` : base;
+    }
+  }
+}
+
+// colour of a message: good news is green, the rest follows the event's severity
+const COLORS = { critical: 0xd93025, warning: 0xf4a300, info: 0x5f6368, good: 0x2e7d32 };
+function colorOf(evt) {
+  if ((evt.kind === 'recover' && !evt.partial) || evt.kind === 'online') return COLORS.good;
+  return COLORS[evt.severity] ?? COLORS.info;
+}
+const hex = n => `#${n.toString(16).padStart(6, '0')}`;
+
+// "Temp / Bounds / Sensor" facts for cards and embeds (only the ones that apply)
+function facts(evt) {
+  const out = [];
+  if (typeof evt.t === 'number') out.push(['Temp (°C)', String(evt.t)]);
+  if (evt.lower !== undefined && evt.upper !== undefined) out.push(['Bounds', `${evt.lower}…${evt.upper} °C`]);
+  if (evt.decoded) out.push(['Sensor', describeSr(evt.decoded)]);
+  return out;
+}
+
+// batches: worst severity first, then the rest (all good news stays green)
+const COLOR_ORDER = [COLORS.critical, COLORS.warning, COLORS.info, COLORS.good];
+function batchColor(msgs) {
+  const colors = msgs.map(m => colorOf(m.evt));
+  return COLOR_ORDER.find(c => colors.includes(c)) ?? COLORS.info;
+}
+function batchSeverity(msgs) {
+  const sev = msgs.map(m => m.severity || m.evt.severity);
+  return ['critical', 'warning'].find(x => sev.includes(x)) || 'info';
+}
+
+// "3× ❌ Offline, 2× 🟢 Online" for a batch
+function batchTally(msgs) {
+  const counts = new Map();
+  for (const m of msgs) {
+    const h = headline(m.evt);
+    counts.set(h, (counts.get(h) || 0) + 1);
+  }
+  return [...counts].map(([h, n]) => `${n}× ${h}`).join(', ');
+}
+
+// Adaptive Card text colour for the same
+function cardColor(evt) {
+  const c = colorOf(evt);
+  return c === COLORS.good ? 'Good' : c === COLORS.critical ? 'Attention' : c === COLORS.warning ? 'Warning' : 'Default';
+}
+
+// POST a JSON body with a timeout; one retry on network errors, 429 and 5xx
+async function postJson(url, body, headers = {}) {
+  const raw = typeof body === 'string' ? body : JSON.stringify(body);
+  let last;
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CHANNEL_TIMEOUT_MS);
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers },
+        body: raw,
+        signal: controller.signal,
+      });
+      if (res.ok) return { ok: true, status: res.status };
+      const text = await res.text().catch(() => '');
+      last = { ok: false, status: res.status, reason: text.slice(0, 200) || `HTTP ${res.status}` };
+      if (res.status !== 429 && res.status < 500) return last;
+    } catch (e) {
+      last = { ok: false, reason: `network error: ${e?.message || e}` };
+    } finally {
+      clearTimeout(timer);
+    }
+    if (attempt === 1) await new Promise(r => setTimeout(r, 700));
+  }
+  return last;
+}
+
+// Channel types. fields: name -> { type: 'string'|'url'|'secret'|'number'|'emails', required, prefix, help }
+const TYPES = {
+  email: {
+    label: 'Email',
+    fields: {
+      to: { type: 'emails', required: true, help: 'comma separated recipients' },
+      from: { type: 'string', help: 'sender address (default ALERT_FROM_EMAIL)' },
+    },
+    // HTML when server.js rendered a card for the message (emailhtml.js), text as the fallback
+    // (with the admin / CSV links spelled out when there are any)
+    format(msg, ch) {
+      const links = msg.links ? `\n\nAdmin page: ${msg.links.admin}\nCSV export: ${msg.links.csv}` : '';
+      return {
+        subject: msg.subject,
+        text: msg.text + links,
+        ...(msg.html_card ? { html: emailPage(msg.subject, [msg.html_card]) } : {}),
+        to: parseRecipients(ch.to),
+      };
+    },
+    // one email listing every event, worst severity in the subject
+    formatBatch(msgs, ch) {
+      const sev = batchSeverity(msgs);
+      const prefix = sev === 'info' ? '' : `[${sev.toUpperCase()}] `;
+      const subject = `${prefix}${msgs.length} freezer events: ${batchTally(msgs)}`;
+      const cards = msgs.map(m => m.html_card).filter(Boolean);
+      return {
+        subject,
+        text: [
+          `${msgs.length} events arrived together:`, '',
+          ...msgs.map(m => `- ${m.text}`),
+          ...(msgs[0].links ? ['', `Admin page: ${msgs[0].links.admin}`] : []),
+        ].join('\n'),
+        ...(cards.length ? { html: emailPage(subject, cards) } : {}),
+        to: parseRecipients(ch.to),
+      };
+    },
+    send(payload, ch) {
+      // providers: failover order from /config email_providers (server.js fills it in)
+      return sendEmail({ ...payload, from: ch.from, providers: ch.providers });
+    },
+  },
+
+  discord: {
+    label: 'Discord',
+    fields: {
+      webhook_url: { type: 'url', required: true, prefix: 'https://discord.com/api/webhooks/' },
+      thread_id: { type: 'string' },
+      username: { type: 'string' },
+      avatar_url: { type: 'url' },
+      min_gap_sec: { type: 'number', min: 0, max: 3600, help: 'minimum seconds between posts (later ones wait in the outbox)' },
+    },
+    format(msg) {
+      const { evt } = msg;
+      const status = headline(evt);
+      const fields = facts(evt);
+      const embeds = buildFreezerEmbed({
+        deviceId: msg.device,
+        tempC: evt.t,
+        bounds: fields.find(f => f[0] === 'Bounds')?.[1],
+        status,
+        whenIso: evt.when,
+        url: evt.url,
+        sensor: evt.decoded ? describeSr(evt.decoded) : undefined,
+        color: colorOf(evt),
+      });
+      return { content: `${status}: **${msg.device}**${typeof evt.t === 'number' ? ` at ${evt.t}°C` : ''}`, embeds };
+    },
+    // one post with a field per device/event (an embed holds 25 fields; the rest are counted)
+    formatBatch(msgs) {
+      const shown = msgs.length > 25 ? msgs.slice(0, 24) : msgs;
+      const fields = shown.map(m => ({
+        name: `${headline(m.evt)}`.slice(0, 256),
+        value: `**${m.device}**${typeof m.evt.t === 'number' ? ` at ${m.evt.t}°C` : ''}${m.evt.when ? `\n<t:${Math.floor(Date.parse(m.evt.when) / 1000)}:T>` : ''}`,
+        inline: true,
+      }));
+      if (shown.length < msgs.length) fields.push({ name: 'More', value: `…and ${msgs.length - shown.length} more event(s)` });
+      return {
+        content: `${msgs.length} freezer events: ${batchTally(msgs)}`.slice(0, 2000),
+        embeds: [{
+          title: `${msgs.length} events`,
+          color: batchColor(msgs),
+          fields,
+          timestamp: msgs[msgs.length - 1].evt.when || new Date().toISOString(),
+        }],
+      };
+    },
+    async send(payload, ch) {
+      if (!ch.webhook_url) return { ok: false, skipped: true, reason: 'no webhook configured' };
+      const res = await postToDiscord(payload.content, payload.embeds, {
+        username: ch.username || undefined,
+        avatar_url: ch.avatar_url || undefined,
+        thread_id: ch.thread_id || undefined,
+        webhook_url: ch.webhook_url,
+      }).catch(e => ({ ok: false, reason: `network error: ${e?.message || e}` }));
+      return res.ok || res.skipped ? res : { ...res, reason: res.reason || String(res.body || '').slice(0, 200) };
+    },
+  },
+
+  slack: {
+    label: 'Slack',
+    fields: {
+      webhook_url: { type: 'url', required: true, prefix: 'https://hooks.slack.com/' },
+    },
+    // incoming-webhook message: plain text fallback + Block Kit layout in a coloured attachment
+    format(msg) {
+      const { evt } = msg;
+      const status = headline(evt);
+      const blocks = [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${status}*: ${msg.device}` } },
+        { type: 'section', text: { type: 'plain_text', text: msg.text } },
+      ];
+      const f = facts(evt);
+      if (f.length) blocks.push({ type: 'context', elements: f.map(([k, v]) => ({ type: 'mrkdwn', text: `*${k}:* ${v}` })) });
+      return { text: `${status}: ${msg.device}`, attachments: [{ color: hex(colorOf(evt)), blocks }] };
+    },
+    send(payload, ch) {
+      return postJson(ch.webhook_url, payload);
+    },
+  },
+
+  teams: {
+    label: 'Microsoft Teams',
+    fields: {
+      webhook_url: { type: 'url', required: true, help: 'Teams workflow / incoming webhook URL' },
+    },
+    // Adaptive Card wrapped in a message, as Teams webhooks expect
+    format(msg) {
+      const { evt } = msg;
+      const body = [
+        { type: 'TextBlock', text: headline(evt), weight: 'Bolder', size: 'Medium', wrap: true, color: cardColor(evt) },
+        { type: 'TextBlock', text: msg.device, isSubtle: true, spacing: 'None', wrap: true },
+        { type: 'TextBlock', text: msg.text, wrap: true },
+      ];
+      const f = facts(evt);
+      if (f.length) body.push({ type: 'FactSet', facts: f.map(([title, value]) => ({ title, value })) });
+      return {
+        type: 'message',
+        attachments: [{
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          content: { $schema: 'http://adaptivecards.io/schemas/adaptive-card.json', type: 'AdaptiveCard', version: '1.4', body },
+        }],
+      };
+    },
+    send(payload, ch) {
+      return postJson(ch.webhook_url, payload);
+    },
+  },
+
+  ntfy: {
+    label: 'ntfy',
+    fields: {
+      topic: { type: 'string', required: true },
+      server: { type: 'url', help: `default ${NTFY_DEFAULT_SERVER}` },
+      token: { type: 'secret', help: 'access token for protected topics' },
+    },
+    // JSON publish (keeps emoji out of HTTP headers); priority follows the severity
+    format(msg, ch) {
+      const { evt } = msg;
+      const good = colorOf(evt) === COLORS.good;
+      return {
+        topic: ch.topic,
+        title: `${headline(evt)}: ${msg.device}`,
+        message: msg.text,
+        priority: good ? 3 : ({ critical: 5, warning: 4 }[evt.severity] ?? 3),
+        tags: [evt.kind, evt.severity].filter(Boolean),
+      };
+    },
+    send(payload, ch) {
+      const server = (ch.server || NTFY_DEFAULT_SERVER).replace(/\/+$/, '');
+      return postJson(server, payload, ch.token ? { Authorization: `Bearer ${ch.token}` } : {});
+    },
+  },
+
+  webhook: {
+    label: 'Webhook (signed JSON)',
+    fields: {
+      url: { type: 'url', required: true },
+      secret: { type: 'secret', help: 'signs each body: X-Signature = sha256=HMAC(secret, "<X-Timestamp>.<body>")' },
+    },
+    // the event as JSON for other systems to consume
+    format(msg) {
+      const { discord_webhook_url, emails, ...evt } = msg.evt;
+      return { event: evt, device: msg.device, subject: msg.subject, text: msg.text };
+    },
+    send(payload, ch) {
+      const body = JSON.stringify(payload);
+      const headers = {};
+      if (ch.secret) {
+        const ts = String(Math.floor(Date.now() / 1000));
+        headers['X-Timestamp'] = ts;
+        headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', ch.secret).update(`${ts}.${body}`).digest('hex')}`;
+      }
+      return postJson(ch.url, body, headers);
+    },
+  },
+};
+
+// check one field value against its schema -> { value } or { error }
+function checkField(name, spec, raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return spec.required ? { error: `${name} is required` } : { value: undefined };
+  }
+  if (spec.type === 'number') {
+    const n = Number(raw);
+    if (!Number.isFinite(n) || (spec.min !== undefined && n < spec.min) || (spec.max !== undefined && n > spec.max)) {
+      return { error: `${name} must be a number${spec.max !== undefined ? ` ${spec.min}..${spec.max}` : ''}` };
+    }
+    return { value: n };
+  }
+  const s = (Array.isArray(raw) ? raw.join(',') : String(raw)).trim();
+  if (spec.type === 'url') {
+    if (!/^https?:\/\/\S+$/i.test(s)) return { error: `${name} must be an http(s) URL` };
+    if (spec.prefix && !s.startsWith(spec.prefix)) return { error: `${name} should start with ${spec.prefix}` };
+  }
+  if (spec.type === 'emails' && !parseRecipients(s).length) return { error: `${name} needs at least one address` };
+  return { value: s };
+}
+
+// normalized copy of a notify_channels list, or { error }
+function parseChannels(list) {
+  if (!Array.isArray(list)) return { error: 'notify_channels must be an array of channels' };
+  const out = [];
+  const ids = new Set(['email', 'discord']); // the built-in instances
+  for (const [i, c] of list.entries()) {
+    if (!c || typeof c !== 'object') return { error: `notify_channels[${i}] must be an object` };
+    const type = TYPES[c.type];
+    if (!type) return { error: `notify_channels[${i}].type must be one of ${Object.keys(TYPES).join(', ')}` };
+    const id = String(c.id ?? `${c.type}-${i + 1}`).trim();
+    if (!/^[\w-]{1,40}$/.test(id)) return { error: `notify_channels[${i}].id may only use letters, digits, _ and -` };
+    if (ids.has(id)) return { error: `notify_channels[${i}].id "${id}" is already used` };
+    ids.add(id);
+
+    const ch = {
+      id,
+      type: c.type,
+      name: String(c.name ?? '').trim() || `${type.label} (${id})`,
+      enabled: typeof c.enabled === 'string' ? ['1', 'true', 'on', 'yes'].includes(c.enabled.toLowerCase()) : c.enabled !== false,
+    };
+    for (const [name, spec] of Object.entries(type.fields)) {
+      const r = checkField(name, spec, c[name]);
+      if (r.error) return { error: `notify_channels[${i}] (${id}): ${r.error}` };
+      if (r.value !== undefined) ch[name] = r.value;
+    }
+    out.push(ch);
+  }
+  return { channels: out };
+}
+
+// why a channel won't take a message at all (unknown type, switched off, ruled out), or null
+function skipReason(ch) {
+  if (!TYPES[ch.type]) return `unknown channel type ${ch.type}`;
+  if (!ch.enabled) return `${ch.name || ch.id} disabled in config`;
+  // the caller can rule a channel out for one message (e.g. severity routing)
+  if (ch.skip) return ch.skip;
+  return null;
+}
+
+// can the outbox merge several messages for this channel into one?
+function canBatch(ch) {
+  return !!TYPES[ch.type]?.formatBatch;
+}
+
+// format + send one message (or a batch) to one channel -> { via: <channel id>, ok | skipped, … }
+async function sendToChannel(msg, ch) {
+  const why = skipReason(ch);
+  if (why) return { via: ch.id, ok: false, skipped: true, reason: why };
+  const type = TYPES[ch.type];
+  try {
+    // a batch of one is just that message
+    if (msg.batch?.length === 1) msg = msg.batch[0];
+    // messages that aren't events (the digest) bring their own payload per channel type
+    const payload = msg.batch ? type.formatBatch(msg.batch, ch) : msg.payload ? msg.payload[ch.type] : type.format(msg, ch);
+    const res = await type.send(payload, ch);
+    if (!res.ok && !res.skipped) console.warn(`Channel ${ch.id} (${ch.type}) delivery failed:`, res.status ?? '', res.reason ?? '');
+    return { via: ch.id, ...res };
+  } catch (e) {
+    console.warn(`Channel ${ch.id} (${ch.type}) error:`, e);
+    return { via: ch.id, ok: false, reason: e?.message || String(e) };
+  }
+}
+
+// field schemas for the admin UI: { type: { label, fields } }
+function channelSchemas() {
+  return Object.fromEntries(Object.entries(TYPES).map(([k, t]) => [k, { label: t.label, fields: t.fields }]));
+}
+
+module.exports = { TYPES, parseChannels, skipReason, canBatch, sendToChannel, channelSchemas, headline, colorOf, hex };
@@ -0,0 +1,56 @@
+// credentials.js
+// Per-device ingest secrets. Only a SHA-256 of each secret is stored (db.data.credentials),
+// the plain secret is shown once when it is issued. Secrets are long random strings, so a
+// plain hash (no salt/KDF) is enough to make a leaked db.json useless for posting readings.
+
+const crypto = require('crypto');
+
+// prefix makes keys recognisable in logs/configs ("freezer monitor key")
+const SECRET_PREFIX = 'fmk_';
+
+// new random secret, e.g. fmk_3q2+... (base64url, 32 bytes of entropy)
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+// hex SHA-256 of a secret
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// stored record for a freshly issued secret; hint lets admins tell keys apart
+function credentialRecord(secret, prev) {
+  const now = new Date().toISOString();
+  return {
+    hash: hashSecret(secret),
+    hint: secret.slice(-4),
+    created_at: prev?.created_at || now,
+    rotated_at: prev ? now : undefined,
+  };
+}
+
+// Revoked secret: the record stays as a tombstone (no hash) so the device id counts as
+// provisioned and nobody can post as it, with any key, until a new secret is issued.
+function revokedRecord(prev) {
+  return { hint: prev.hint, created_at: prev.created_at, revoked_at: new Date().toISOString() };
+}
+
+// device id whose secret matches key, or null (constant-time compare per entry)
+function findDeviceForKey(credentials, key) {
+  if (!key || !credentials) return null;
+  const h = Buffer.from(hashSecret(key), 'hex');
+  for (const [id, c] of Object.entries(credentials)) {
+    if (!c || !c.hash || c.revoked_at) continue;
+    const stored = Buffer.from(c.hash, 'hex');
+    if (stored.length === h.length && crypto.timingSafeEqual(stored, h)) return id;
+  }
+  return null;
+}
+
+// public view of a credential (never the hash)
+function publicCredential(c) {
+  if (!c) return null;
+  return { hint: c.hint, created_at: c.created_at, rotated_at: c.rotated_at, revoked_at: c.revoked_at };
+}
+
+module.exports = { generateSecret, hashSecret, credentialRecord, revokedRecord, findDeviceForKey, publicCredential };
@@ -0,0 +1,175 @@
+// digest.js
+// Daily / weekly summary of every freezer: min/max/mean temperature, excursions (count and
+// total time outside the critical bounds), offline time and sensor faults over the period,
+// plus the devices that haven't reported at all. Built from the stored readings and the
+// alert manager's state; server.js schedules it (/config digest_*) and sends it by email
+// and optionally as a Discord embed.
+
+const PERIOD_MS = { daily: 86_400_000, weekly: 7 * 86_400_000 };
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// ms as "2 h 05 min" / "12 min"
+function duration(ms) {
+  const min = Math.round(ms / 60000);
+  if (min < 60) return `${min} min`;
+  return `${Math.floor(min / 60)} h ${String(min % 60).padStart(2, '0')} min`;
+}
+
+// Stats for one device/probe from its readings (oldest first) inside [from, to).
+// Excursions are runs of readings outside [lower, upper]; each lasts until the next reading
+// back in bounds (or the end of the period). Gaps longer than offlineAfterMs count as offline.
+function summarize(rows, { from, to, lower, upper, offlineAfterMs, hasFault }) {
+  const out = { readings: rows.length, excursions: 0, excursion_ms: 0, offline_ms: 0, faults: 0 };
+  if (rows.length) {
+    let sum = 0;
+    out.min = Infinity;
+    out.max = -Infinity;
+    for (const r of rows) {
+      sum += r.temp_c;
+      out.min = Math.min(out.min, r.temp_c);
+      out.max = Math.max(out.max, r.temp_c);
+    }
+    out.mean = Math.round((sum / rows.length) * 100) / 100;
+  }
+
+  let outSince = null;
+  let faulted = false;
+  let prevTs = from;
+  for (const r of rows) {
+    if (r.ts_ms - prevTs > offlineAfterMs) out.offline_ms += r.ts_ms - prevTs;
+    prevTs = r.ts_ms;
+
+    const outNow = r.temp_c < lower || r.temp_c > upper;
+    if (outNow && outSince === null) { outSince = r.ts_ms; out.excursions++; }
+    if (!outNow && outSince !== null) { out.excursion_ms += r.ts_ms - outSince; outSince = null; }
+
+    // a fault counts once per stretch of faulted readings
+    const f = hasFault(r);
+    if (f && !faulted) out.faults++;
+    faulted = f;
+  }
+  if (outSince !== null) out.excursion_ms += to - outSince;
+  if (to - prevTs > offlineAfterMs) out.offline_ms += to - prevTs;
+  return out;
+}
+
+// Build the report.
+//   ids: device ids to cover; query(id, { from, to }) -> readings; boundsFor(id, channel);
+//   states: alert manager states (getStates()); hasFault(id, reading) -> bool
+async function buildDigest({ period = 'daily', now = Date.now(), ids, query, boundsFor, states, names = {}, offlineAfterMs, hasFault }) {
+  const to = now;
+  const from = now - (PERIOD_MS[period] || PERIOD_MS.daily);
+  const stateOf = (id, channel) => states.find(s => s.id === id && (s.channel || undefined) === (channel || undefined));
+  const rows = [];
+  const silent = [];
+
+  for (const id of ids) {
+    const readings = await query(id, { from, to: to - 1 });
+    if (!readings.length) {
+      const st = states.filter(s => s.id === id);
+      const lastTs = Math.max(0, ...st.map(s => s.lastTs || 0));
+      silent.push({ id, name: names[id], last_seen: lastTs ? new Date(lastTs).toISOString() : null });
+      continue;
+    }
+    // one row per probe channel (plain devices have a single, unnamed one)
+    const byChannel = new Map();
+    for (const r of readings) {
+      const k = r.channel || '';
+      if (!byChannel.has(k)) byChannel.set(k, []);
+      byChannel.get(k).push(r);
+    }
+    for (const [channel, list] of byChannel) {
+      const { lower, upper } = boundsFor(id, channel || undefined);
+      rows.push({
+        id,
+        ...(channel ? { channel } : {}),
+        name: names[id],
+        lower,
+        upper,
+        status: stateOf(id, channel)?.status || 'unknown',
+        ...summarize(list, { from, to, lower, upper, offlineAfterMs, hasFault: r => hasFault(id, r) }),
+      });
+    }
+  }
+  return { period, from: new Date(from).toISOString(), to: new Date(to).toISOString(), devices: rows, silent };
+}
+
+// label used in every rendering
+function rowLabel(r) {
+  return `${r.name ? `${r.name} (${r.id})` : r.id}${r.channel ? ` · ${r.channel}` : ''}`;
+}
+
+// one line per device, for the email text part and logs
+function digestText(d) {
+  const lines = [`${d.period === 'weekly' ? 'Weekly' : 'Daily'} freezer digest ${d.from} → ${d.to}`, ''];
+  for (const r of d.devices) {
+    lines.push(`${rowLabel(r)} [${r.status}]: min ${r.min}°C / max ${r.max}°C / mean ${r.mean}°C (bounds ${r.lower}..${r.upper}); ` +
+      `${r.excursions} excursion(s) ${duration(r.excursion_ms)}; offline ${duration(r.offline_ms)}; ${r.faults} fault(s)`);
+  }
+  if (!d.devices.length) lines.push('No readings in this period.');
+  if (d.silent.length) {
+    lines.push('', 'Not reporting:');
+    for (const s of d.silent) lines.push(`  ${s.name ? `${s.name} (${s.id})` : s.id}, last seen ${s.last_seen || 'never'}`);
+  }
+  return lines.join('\n');
+}
+
+function escHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// HTML table for the email
+function digestHtml(d) {
+  const cell = (v, bad) => `<td style="padding:4px 8px;border-bottom:1px solid #eee${bad ? ';color:#b00;font-weight:bold' : ''}">${escHtml(v)}</td>`;
+  const rows = d.devices.map(r => `<tr>${cell(rowLabel(r))}${cell(r.status, !['normal', 'unknown'].includes(r.status))}${cell(r.min)}${cell(r.max)}${cell(r.mean)}` +
+    `${cell(`${r.lower}..${r.upper}`)}${cell(`${r.excursions} / ${duration(r.excursion_ms)}`, r.excursions > 0)}${cell(duration(r.offline_ms), r.offline_ms > 0)}${cell(r.faults, r.faults > 0)}</tr>`).join('');
+  const head = ['Device', 'Now', 'Min °C', 'Max °C', 'Mean °C', 'Bounds', 'Excursions', 'Offline', 'Faults']
+    .map(h => `<th style="text-align:left;padding:4px 8px;border-bottom:2px solid #ccc">${h}</th>`).join('');
+  const silent = d.silent.length
+    ? `<h3>Not reporting</h3><ul>${d.silent.map(s => `<li>${escHtml(s.name ? `${s.name} (${s.id})` : s.id)}, last seen ${escHtml(s.last_seen || 'never')}</li>`).join('')}</ul>`
+    : '';
+  return `<div style="font-family:system-ui,sans-serif">
+<h2>${d.period === 'weekly' ? 'Weekly' : 'Daily'} freezer digest</h2>
+<p style="color:#666">${escHtml(d.from)} → ${escHtml(d.to)}</p>
+${d.devices.length ? `<table style="border-collapse:collapse">${head}${rows}</table>` : '<p>No readings in this period.</p>'}
+${silent}
+</div>`;
+}
+
+// Discord embed (25 fields max; the rest are summarized)
+function digestEmbed(d) {
+  const fields = d.devices.slice(0, d.silent.length ? 24 : 25).map(r => ({
+    name: `${rowLabel(r)} · ${r.status}`.slice(0, 256),
+    value: `${r.min}…${r.max}°C (mean ${r.mean})\n${r.excursions} excursion(s), ${duration(r.excursion_ms)}\noffline ${duration(r.offline_ms)} · ${r.faults} fault(s)`,
+    inline: true,
+  }));
+  const shown = fields.length;
+  if (d.silent.length) {
+    fields.push({ name: 'Not reporting', value: d.silent.map(s => s.name ? `${s.name} (${s.id})` : s.id).join(', ').slice(0, 1024) });
+  }
+  const bad = d.silent.length || d.devices.some(r => r.excursions || r.faults);
+  return [{
+    title: `${d.period === 'weekly' ? 'Weekly' : 'Daily'} freezer digest`,
+    description: `${d.from} → ${d.to}${d.devices.length > shown ? ` (first ${shown} of ${d.devices.length})` : ''}`,
+    color: bad ? 0xf4a300 : 0x2e7d32,
+    fields,
+    timestamp: d.to,
+  }];
+}
+
+// is a digest due? schedule = { period, time: 'HH:MM', weekday: 'mon' }, lastRun = ms or 0
+// (server local time; runs once per day / week at or after the time)
+function digestDue({ period = 'daily', time = '07:00', weekday = 'mon' }, lastRun, now = Date.now()) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!m) return false;
+  const slot = new Date(now);
+  slot.setHours(Number(m[1]), Number(m[2]), 0, 0);
+  if (period === 'weekly') {
+    const want = WEEKDAYS.indexOf(String(weekday).toLowerCase().slice(0, 3));
+    slot.setDate(slot.getDate() - ((slot.getDay() - want + 7) % 7));
+  }
+  if (slot.getTime() > now) return false;
+  return !lastRun || lastRun < slot.getTime();
+}
+
+module.exports = { buildDigest, digestText, digestHtml, digestEmbed, digestDue, WEEKDAYS };
@@ -1,16 +1,14 @@
 // discord.js (CommonJS)
-// Minimal Discord webhook client with basic rate limiting and 429 retry.
+// Minimal Discord webhook client with 429 retry. Spacing posts out (min_gap_sec) is the
+// outbox's job (outbox.js), so a caller is never put to sleep here.
 
 const WEBHOOK = process.env.DISCORD_WEBHOOK_URL;
-const ENV_MIN_GAP_SEC = Number(process.env.DISCORD_MIN_SECONDS_BETWEEN_POSTS || 0);
 
 // sleep function with a promise to set timeout for ms amount
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-let lastPostMs = 0;
-
 // async function to post to discord with content, ebeds, and options
 async function postToDiscord(content, embeds = [], opts = {}) {
   // sets targetWebhook = options webhook url or set .env webhook
@@ -21,16 +19,6 @@ async function postToDiscord(content, embeds = [], opts = {}) {
     return { ok: false, skipped: true, reason: "DISCORD_WEBHOOK_URL missing" };
   }
 
-  // record current time
-  const now = Date.now();
-  // set minGapSec to numberized options field for min_gap_sec to validate via nullish coalescing operator
-  const minGapSec = Number(opts.min_gap_sec ?? ENV_MIN_GAP_SEC);
-  // if minGapSec is greater than 0 and delta time from last posted is less than minGapSec
-  // sleep for mingapsec - deltaTime
-  if (minGapSec > 0 && now - lastPostMs < minGapSec * 1000) {
-    await sleep(minGapSec * 1000 - (now - lastPostMs));
-  }
-
   // payload with instantiated parameters and checks if content exits, then set it to be empty
   const payload = { content: content ?? "", embeds };
   // if statement to check if options fields are filled and sets the payload fields
@@ -55,8 +43,6 @@ async function postToDiscord(content, embeds = [], opts = {}) {
 
     // checks for if response status is equal to 204 both in value and datatype
     if (res.status === 204) {
-      // sets last posted ms to the current time
-      lastPostMs = Date.now();
       // return populated fields
       return { ok: true, status: 204 };
     }
@@ -83,17 +69,24 @@ async function postToDiscord(content, embeds = [], opts = {}) {
 }
 
 // function to build devices details
-function buildFreezerEmbed({ deviceId, tempC, bounds, status, whenIso, url }) {
+function buildFreezerEmbed({ deviceId, tempC, bounds, status, whenIso, url, sensor, color }) {
+  // set fields to temperature and bounds
+  const fields = [
+    { name: "Temp (°C)", value: (tempC ?? "—").toString(), inline: true },
+    { name: "Bounds", value: bounds || "—", inline: true },
+  ];
+  // decoded sensor status bits, only when there is something to say
+  if (sensor) fields.push({ name: "Sensor", value: sensor, inline: false });
+
   // returns populated fields and timestamp
   return [
     {
       title: deviceId || "ESP32",
       description: status || "Alert",
       url: url || undefined,
-      fields: [
-        { name: "Temp (°C)", value: (tempC ?? "—").toString(), inline: true },
-        { name: "Bounds", value: bounds || "—", inline: true },
-      ],
+      // side bar colour (severity)
+      color: Number.isInteger(color) ? color : undefined,
+      fields,
       timestamp: whenIso || new Date().toISOString(),
     },
   ];
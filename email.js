@@ -0,0 +1,310 @@
+// email.js
+// Email sender used by the email notification channel (see channels.js).
+// Sends through SMTP (nodemailer), Resend or SendGrid, trying providers in order (EMAIL_PROVIDER
+// or /config email_providers, e.g. "resend,smtp"); returns { ok, id, to, provider } or
+// { ok: false, skipped?, status?, reason } for the event history.
+
+// Provider selection
+// 1) smtp
+// 2) Resend
+// 3) SendGrid
+// several may be listed, comma separated, to fail over in that order
+const EMAIL_PROVIDER = (process.env.EMAIL_PROVIDER || 'smtp').toLowerCase();
+const RESEND_API_KEY = process.env.RESEND_API_KEY || '';
+const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY || '';
+
+// nodemailer is a popular node.js library that allows javascript
+// server code to send emails -> it essentially handles the backend of sending emails.
+const nodemailer = require("nodemailer");
+// SMTP transport creation
+// creates a nodemailer transport if required environment variables (stored in .env file) exist
+// const variable where we check if SMTP host, user, or password exists in .env file
+const smtpEnvReady =
+
+// !! is a double-bang operator -> This essentially checks if the boolean value is actually legitimate
+
+  !!process.env.SMTP_HOST && 
+  !!process.env.SMTP_USER && 
+  !!process.env.SMTP_PASS;
+// secure is set if SMTP_SECURE is set (True)
+// if not SMTP is NULL and later code skips SMTP sending
+// 587 is a port number for application level gateways -> think of things like outlook or gmail
+// it acts like a entrance for transport layer security
+//TERNARY EXPRESSION
+const smtp = smtpEnvReady
+  ? nodemailer.createTransport({
+    // we populate fields such as SMTP host from the .env file
+      host: process.env.SMTP_HOST,
+
+      // ?? is a nullish coalescing operator, it means that it checks if the value in the .env file is null or not
+      
+      // if the SMTP_port .env is NULL, then use port 587
+      port: Number(process.env.SMTP_PORT ?? 587),
+      // There are 2 different ways to encrypt SMTP
+      // if secure is true ->  port 465 style (TLS)
+      // this means encryption starts before any data is sent
+      // it's like when you try to enter your house but you don't have your house keys
+      // if secure is false -> port 587 style (STARTTLS)
+      // this means, we can enter the house without the keys, but we lock the door behind us
+      secure: String(process.env.SMTP_SECURE).toLowerCase() === "true",
+      // this is essentially setting up authentication for user email and password
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+    })
+  : null;
+
+// Function for Parsing email detail
+// takes in s as a parameter of any type
+function parseRecipients(s) {
+  // if s exists return empty
+  if (!s) return [];
+  // return the string as formatted
+  return String(s)
+  // split based on comma, whitespace, semicolon (one or more in the line)
+    .split(/[,\s;]+/)
+    // map is an array method
+    // set x to trim spaces at the start and end to all of x
+    .map(x => x.trim())
+    // keep only truthy values
+    // falsey values are things like "", undefined, null, 0, false, NaN
+    .filter(Boolean);
+}
+
+// asynchronous sleep function with millisecond parameter
+async function sleep(ms){ 
+  // a promise represents a value that will be available later
+  // setTimeout is a command that waits based on ms and calls r() to resolve its promise
+  return new Promise(r => setTimeout(r, ms)); 
+}
+
+// asynchronous retry function with fn as a parameter
+// { tries=2, baseMs=600 } = {} is a destructured options object
+// default values tries=2, baseMs=600, if caller doesn't pass any options, leave empty
+async function withRetries(fn, { tries=2, baseMs=600 } = {}) {
+  // last will store last result
+  let last;
+  // for loop to iterate from 0 to the number of tries
+  for (let i = 0; i < tries; i++) {
+    // set last to function
+    last = await fn();
+    // if statement to check if last ANDed last.ok, return last if true
+    if (last && last.ok) return last;
+    // wait for sleep if fail -> sleep is a backoff delay
+    // baseMS x 2^i + random jitters
+    // we add random jitters to avoid servers retrying at the same time
+    await sleep(baseMs * Math.pow(2, i) + Math.floor(Math.random()*120));
+  }
+  // return last or ok
+  return last || { ok: false };
+}
+
+
+// Resend (HTTPS API), with retries
+async function sendViaResend({ subject, text, html, recipients, fromAddr }) {
+  // set api key or none
+  const apiKey = process.env.RESEND_API_KEY || '';
+  // checks if apikey is nonexistent, set populated fields
+  if (!apiKey) return { ok: false, skipped: true, reason: 'missing RESEND_API_KEY' };
+
+  // fn is set to be an async function
+  const fn = async () => {
+    //try
+    try {
+      // AbortController is a built-in browser / Node API that let's us start async operation
+      // and cancel whenever we want
+      // set controller to a new object under the AbortController class
+      const controller = new AbortController();
+      // set timeout with controller to abort, with 20 sec cap
+      const t = setTimeout(() => controller.abort(), 20000);
+      // set res to await and fetch the resend api email calls
+      const res = await fetch('https://api.resend.com/emails', {
+        // populated fields
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          from: fromAddr,
+          to: recipients,
+          subject,
+          text,
+          html
+        }),
+        signal: controller.signal
+      }).finally(() => clearTimeout(t));
+
+      // checks for if resend exists or if populated ok exists
+      if (!res || !res.ok) {
+        // if resend exists catch the text else leave empty
+        const body = res ? await res.text().catch(()=> '') : '';
+        // issue warning error with res and an optional status with body
+        console.warn('Resend email HTTP err:', res?.status, body);
+        // populate ok field (status/reason end up in the event history)
+        return { ok: false, status: res?.status, reason: String(body).slice(0, 200) || 'HTTP error' };
+      }
+      // set data to await for resend json file to catch in empty field
+      const data = await res.json().catch(()=> ({}));
+      // return ok field, and id field
+      return { ok: true, id: data.id, to: recipients };
+    }
+    // error catch 
+    catch (e) {
+      // issue error warning for email network with optional message or error
+      console.warn('Resend email network error:', e?.message || e);
+      // populate ok field
+      return { ok: false, reason: `network error: ${e?.message || e}` };
+    }
+  };
+
+  // return to await for retry function with following fn and default fields
+  return await withRetries(fn, { tries: 2, baseMs: 700 });
+}
+
+// SendGrid (v3 mail/send), with retries; answers 202 and puts the id in X-Message-Id
+async function sendViaSendgrid({ subject, text, html, recipients, fromAddr }) {
+  const apiKey = process.env.SENDGRID_API_KEY || '';
+  if (!apiKey) return { ok: false, skipped: true, reason: 'missing SENDGRID_API_KEY' };
+
+  // SendGrid wants text/plain before text/html and rejects empty content
+  const content = [];
+  if (text || !html) content.push({ type: 'text/plain', value: text || '(no body)' });
+  if (html) content.push({ type: 'text/html', value: html });
+
+  const fn = async () => {
+    try {
+      const controller = new AbortController();
+      const t = setTimeout(() => controller.abort(), 20000);
+      const res = await fetch('https://api.sendgrid.com/v3/mail/send', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          personalizations: [{ to: recipients.map(email => ({ email })) }],
+          from: { email: fromAddr },
+          subject,
+          content
+        }),
+        signal: controller.signal
+      }).finally(() => clearTimeout(t));
+
+      if (!res || !res.ok) {
+        const body = res ? await res.text().catch(()=> '') : '';
+        console.warn('SendGrid email HTTP err:', res?.status, body);
+        return { ok: false, status: res?.status, reason: String(body).slice(0, 200) || 'HTTP error' };
+      }
+      return { ok: true, id: res.headers.get('x-message-id') || undefined, to: recipients };
+    }
+    catch (e) {
+      console.warn('SendGrid email network error:', e?.message || e);
+      return { ok: false, reason: `network error: ${e?.message || e}` };
+    }
+  };
+
+  return await withRetries(fn, { tries: 2, baseMs: 700 });
+}
+
+// SMTP (nodemailer)
+async function sendViaSmtp({ subject, text, html, recipients, fromAddr }) {
+  // we check for SMTP .env and if smtp exists
+  if (!smtpEnvReady || !smtp) {
+    // return the following fields if failure
+    return { ok: false, skipped: true, reason: 'SMTP_* env missing' };
+  }
+  try {
+    // try to send an email with the following fields
+    const info = await smtp.sendMail({
+      from: fromAddr,
+      to: recipients.join(','),
+      subject,
+      text: text || (html ? undefined : '(no body)'),
+      html
+    });
+    // if info does not exist or the accepted field failed, or it length != 0
+    //error handle
+    if (!info || !info.accepted || info.accepted.length === 0) {
+      console.warn('SMTP did not accept any recipients:', info);
+      return { ok: false, reason: 'no recipients accepted' };
+    }
+    return { ok: true, id: info.messageId, to: info.accepted };
+  }
+  //catch error 
+  catch (e) {
+    // send error message
+    console.warn('SMTP send error:', e?.message || e);
+    return { ok: false, reason: e?.message || String(e) };
+  }
+}
+
+// provider name -> sender
+const PROVIDERS = { smtp: sendViaSmtp, resend: sendViaResend, sendgrid: sendViaSendgrid };
+
+// ordered provider list from an array or "resend,smtp" -> { providers } or { error }
+function parseProviders(v) {
+  const list = (Array.isArray(v) ? v : String(v ?? '').split(/[,\s;]+/))
+    .map(x => String(x).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.find(p => !PROVIDERS[p]);
+  if (unknown) return { error: `unknown email provider ${unknown} (use ${Object.keys(PROVIDERS).join(', ')})` };
+  return { providers: [...new Set(list)] };
+}
+
+// EMAIL_PROVIDER may list several providers in order, e.g. "resend,smtp"
+// (unknown names are kept so sendEmail reports them instead of silently using smtp)
+const ENV_PROVIDERS = EMAIL_PROVIDER.split(/[,\s;]+/).filter(Boolean);
+
+// asynchronous function for sending emails with parameters subject, text, html, to and from
+// (enable switches and the default recipient list are the channel's business, see channels.js)
+// providers: order to try them in (default EMAIL_PROVIDER); the next one is only tried when
+// the previous one is not configured or still fails after its retries. The result says which
+// provider delivered it, and attempts lists the ones that didn't (failover trail).
+async function sendEmail({ subject, text, html, to, from, providers }) {
+  // try
+  try {
+    // recipients as an array
+    const recipients = Array.isArray(to) ? to : parseRecipients(to);
+    // if recipient length is equal to 0 both in value and datatype
+    if (recipients.length === 0) {
+      // return the populated fields for ok -> false, skipped -> true, reason -> 'no recipients configured'
+      return { ok: false, skipped: true, reason: 'no recipients configured' };
+    }
+
+    // sets the from address to the channel's address or the from email via .env file
+    const fromAddr =
+      (from && String(from).trim()) ||
+      process.env.ALERT_FROM_EMAIL ||
+      process.env.SMTP_USER ||
+      'alerts@example.com';
+
+    const order = providers?.length ? providers : ENV_PROVIDERS;
+    const attempts = [];
+    for (const provider of order) {
+      const send = PROVIDERS[provider];
+      const r = send
+        ? await send({ subject, text, html, recipients, fromAddr })
+        : { ok: false, skipped: true, reason: `unknown provider ${provider}` };
+      if (r.ok) return { ...r, provider, ...(attempts.length ? { attempts } : {}) };
+      attempts.push({ provider, ...r });
+      if (attempts.length < order.length) console.warn(`Email via ${provider} ${r.skipped ? 'skipped' : 'failed'} (${r.reason || r.status}), trying next provider`);
+    }
+
+    // nothing delivered: skipped only if no provider was even configured. A status is only
+    // reported when every provider that was tried refused for good (a 4xx other than 408/429,
+    // the outbox's rule): "resend: 503; sendgrid: 400" is still worth retrying.
+    const tried = attempts.filter(a => !a.skipped);
+    const permanent = tried.length && tried.every(a => a.status >= 400 && a.status < 500 && a.status !== 408 && a.status !== 429);
+    return {
+      ok: false,
+      ...(attempts.every(a => a.skipped) ? { skipped: true } : {}),
+      ...(permanent ? { status: tried[tried.length - 1].status } : {}),
+      reason: attempts.map(a => (attempts.length > 1 ? `${a.provider}: ` : '') + ([a.status, a.reason].filter(v => v !== undefined && v !== '').join(' ') || 'failed')).join('; '),
+      ...(attempts.length > 1 ? { attempts } : {}),
+    };
+  } catch (e) {
+    console.warn('Email send exception:', e);
+    return { ok: false, reason: e?.message || String(e) };
+  }
+}
+
+module.exports = { sendEmail, parseRecipients, parseProviders, ENV_PROVIDERS };
@@ -0,0 +1,153 @@
+// emailhtml.js
+// HTML bodies for alert emails. server.js renders one card per event (eventCard) from the event,
+// the device's name/notes, its bounds and the last few hours of stored readings; the email
+// channel wraps one card, or a batch of them, in a page (emailPage). The plain-text body is
+// still sent alongside as the fallback. The chart is inline SVG: Apple Mail, iOS, Outlook.com
+// and Thunderbird draw it, Gmail drops it (the facts table and the links still show).
+
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// "HH:MM" in server local time
+function hhmm(ms) {
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+function minutesSince(ms, when) {
+  return Math.round((Date.parse(when) - ms) / 60000);
+}
+
+// Line chart of readings ({ ts_ms, temp_c }, oldest first) over [from, to] with the critical
+// bounds shaded and the warning band dashed. Gaps longer than gapMs break the line.
+function chartSvg(rows, { from, to, lower, upper, warnLower, warnUpper, gapMs = 15 * 60000 }) {
+  const W = 560, H = 170, L = 44, R = 8, T = 8, B = 22;
+  const temps = rows.map(r => r.temp_c);
+  const marks = [lower, upper, warnLower, warnUpper].filter(Number.isFinite);
+  let lo = Math.min(...temps, ...marks);
+  let hi = Math.max(...temps, ...marks);
+  const pad = Math.max(1, (hi - lo) * 0.08);
+  lo -= pad; hi += pad;
+  const x = ms => L + ((ms - from) / Math.max(1, to - from)) * (W - L - R);
+  const y = t => T + ((hi - t) / (hi - lo)) * (H - T - B);
+  const f = n => n.toFixed(1);
+
+  const parts = [];
+  // outside the critical bounds
+  if (Number.isFinite(upper)) parts.push(`<rect x="${L}" y="${T}" width="${W - L - R}" height="${f(Math.max(0, y(upper) - T))}" fill="#fde7e7"/>`);
+  if (Number.isFinite(lower)) parts.push(`<rect x="${L}" y="${f(y(lower))}" width="${W - L - R}" height="${f(Math.max(0, H - B - y(lower)))}" fill="#fde7e7"/>`);
+  for (const [v, color, dash] of [[lower, '#d93025', ''], [upper, '#d93025', ''], [warnLower, '#f4a300', ' stroke-dasharray="4 3"'], [warnUpper, '#f4a300', ' stroke-dasharray="4 3"']]) {
+    if (!Number.isFinite(v)) continue;
+    parts.push(`<line x1="${L}" x2="${W - R}" y1="${f(y(v))}" y2="${f(y(v))}" stroke="${color}" stroke-width="1"${dash}/>`);
+    parts.push(`<text x="${L - 4}" y="${f(y(v) + 3)}" font-size="10" text-anchor="end" fill="${color}">${v}</text>`);
+  }
+
+  // the readings, one polyline per stretch without gaps
+  let seg = [];
+  const flush = () => {
+    if (seg.length > 1) parts.push(`<polyline points="${seg.join(' ')}" fill="none" stroke="#1a73e8" stroke-width="1.8"/>`);
+    seg = [];
+  };
+  let prev = null;
+  for (const r of rows) {
+    if (prev && r.ts_ms - prev.ts_ms > gapMs) flush();
+    seg.push(`${f(x(r.ts_ms))},${f(y(r.temp_c))}`);
+    prev = r;
+  }
+  flush();
+  if (prev) parts.push(`<circle cx="${f(x(prev.ts_ms))}" cy="${f(y(prev.temp_c))}" r="3" fill="#1a73e8"/>`);
+
+  // time axis: start, middle, end
+  for (const ms of [from, (from + to) / 2, to]) {
+    parts.push(`<text x="${f(x(ms))}" y="${H - 6}" font-size="10" text-anchor="middle" fill="#666">${hhmm(ms)}</text>`);
+  }
+  parts.push(`<rect x="${L}" y="${T}" width="${W - L - R}" height="${H - T - B}" fill="none" stroke="#ccc"/>`);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" role="img" aria-label="Temperature over the last hours">${parts.join('')}</svg>`;
+}
+
+// event-kind specific rows for the facts table: [label, value]
+function kindFacts(evt) {
+  const when = evt.when || new Date().toISOString();
+  switch (evt.kind) {
+    case 'alert':
+      return [
+        evt.outOfRangeSince ? ['Out of range for', `${minutesSince(evt.outOfRangeSince, when)} min`] : null,
+        evt.upgradedFrom ? ['Was', evt.upgradedFrom] : null,
+        evt.worseSinceAck ? ['Acknowledged', `by ${evt.worseSinceAck.by} at ${evt.worseSinceAck.t}°C, now worse (acknowledgement cleared)`] : null,
+      ];
+    case 'trend':
+      return [
+        ['Warming', `${evt.rateCPerH}°C/h`],
+        Number.isFinite(evt.etaMin) ? ['Crosses upper bound', `in ~${evt.etaMin} min`] : null,
+      ];
+    case 'fault':
+      return [['Sensor', evt.decoded?.faults?.length ? evt.decoded.faults.join(', ') : `status 0x${Number(evt.sr || 0).toString(16)}`]];
+    case 'offline':
+      return [evt.channels?.length ? ['Probes', evt.channels.join(', ')] : null];
+    case 'escalation':
+      return [
+        ['Escalated to', `${evt.levelName} (level ${evt.level})`],
+        Number.isFinite(evt.since) ? ['Unresolved for', `${minutesSince(evt.since, when)} min`] : null,
+      ];
+    case 'ack':
+      return [['By', evt.by], evt.note ? ['Note', evt.note] : null];
+    case 'maintenance_end':
+      return [
+        ['Still wrong', (evt.problems || []).map(p => `${p.label}: ${p.status === 'fault' ? 'sensor fault' : `${p.t}°C`}`).join('; ')],
+        ['Held back', `${evt.suppressed} notification(s) since ${evt.since}`],
+      ];
+    case 'rejects':
+      return [['Rejected', `${evt.count} in ${evt.windowMin} min`], ['Latest reason', evt.reason]];
+    default:
+      return [];
+  }
+}
+
+// One event as an HTML block.
+//   msg: { evt, subject, text, device, ack_url }; device: db.data.devices entry (name, notes)
+//   title/color: headline and CSS colour of the event (channels.js headline/colorOf)
+//   bounds: boundsFor() result; rows/from/to: recent readings for the chart; links: { admin, csv }
+function eventCard({ msg, title, color, device, bounds, rows, from, to, gapMs, links = {} }) {
+  const { evt } = msg;
+  const name = device?.name ? `${device.name} (${evt.id})` : evt.id;
+  const probe = evt.channel ? (evt.channelName || evt.channel) : '';
+  const warnBand = Number.isFinite(bounds.warnLower) || Number.isFinite(bounds.warnUpper)
+    ? `${bounds.warnLower ?? bounds.lower}…${bounds.warnUpper ?? bounds.upper} °C` : null;
+  const facts = [
+    typeof evt.t === 'number' ? ['Temperature', `${evt.t} °C`] : null,
+    ['Bounds', `${bounds.lower}…${bounds.upper} °C`],
+    warnBand ? ['Warning band', warnBand] : null,
+    ...kindFacts(evt),
+    ['When', new Date(evt.when || Date.now()).toLocaleString()],
+  ].filter(Boolean);
+
+  const button = (href, label, bg) => `<a href="${esc(href)}" style="display:inline-block;margin:0 8px 8px 0;padding:8px 14px;border-radius:4px;background:${bg};color:#fff;text-decoration:none;font-weight:bold">${esc(label)}</a>`;
+  const buttons = [
+    msg.ack_url ? button(msg.ack_url, 'Acknowledge', color) : '',
+    links.admin ? button(links.admin, 'Open admin page', '#5f6368') : '',
+    links.csv ? button(links.csv, 'Download CSV', '#5f6368') : '',
+  ].join('');
+
+  return `<div style="border:1px solid #ddd;border-radius:6px;margin:0 0 16px 0;overflow:hidden">
+<div style="background:${color};color:#fff;padding:10px 14px;font-size:16px;font-weight:bold">${esc(title)}</div>
+<div style="padding:12px 14px">
+<div style="font-size:18px;font-weight:bold">${esc(name)}${probe ? ` <span style="font-weight:normal;color:#666">· ${esc(probe)}</span>` : ''}</div>
+${device?.notes ? `<div style="color:#666;font-style:italic;margin:4px 0">${esc(device.notes)}</div>` : ''}
+<table style="border-collapse:collapse;margin:8px 0">${facts.map(([k, v]) => `<tr><td style="padding:2px 12px 2px 0;color:#666">${esc(k)}</td><td style="padding:2px 0">${esc(v)}</td></tr>`).join('')}</table>
+${rows.length ? `<div style="margin:8px 0">${chartSvg(rows, { from, to, ...bounds, gapMs })}<div style="color:#888;font-size:12px">Last ${Math.round((to - from) / 3600000)} h of stored readings</div></div>` : '<div style="color:#888;margin:8px 0">No stored readings in the last hours.</div>'}
+${buttons ? `<div style="margin-top:8px">${buttons}</div>` : ''}
+</div>
+</div>`;
+}
+
+// whole email around one or more cards
+function emailPage(title, cards) {
+  return `<!doctype html><html><body style="margin:0;padding:16px;font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;color:#222;background:#f6f6f6">
+<div style="max-width:620px;margin:0 auto;background:#fff;padding:16px;border-radius:6px">
+<div style="color:#666;font-size:13px;margin-bottom:12px">${esc(title)}</div>
+${cards.join('\n')}
+</div></body></html>`;
+}
+
+module.exports = { eventCard, emailPage, chartSvg };
@@ -0,0 +1,40 @@
+// escalation.js
+// Escalation chains for excursions (alert/fault) that stay unresolved.
+// Level 1 is the normal alert path (alert_to_email + the Discord webhook) and fires right away;
+// the chain lists the levels after it, each reached after_min minutes into the excursion:
+//   [{ name: 'Lab manager', after_min: 30, emails: 'boss@lab.org' },
+//    { name: 'Facilities', after_min: 60, emails: 'fm@lab.org', discord_webhook_url: 'https://…' }]
+// The chain comes from /config (escalation) and can be replaced per device (PUT /devices/:id);
+// a device with an empty chain never escalates.
+
+// normalized copy of a chain (sorted by after_min), or { error }
+function parseEscalation(levels) {
+  if (!Array.isArray(levels)) return { error: 'escalation must be an array of levels' };
+  const out = [];
+  for (const [i, l] of levels.entries()) {
+    if (!l || typeof l !== 'object') return { error: `escalation[${i}] must be an object` };
+    const after = Number(l.after_min);
+    if (!Number.isFinite(after) || after <= 0) return { error: `escalation[${i}].after_min must be > 0` };
+    const emails = Array.isArray(l.emails) ? l.emails.join(',') : String(l.emails ?? '').trim();
+    const webhook = String(l.discord_webhook_url ?? '').trim();
+    if (!emails && !webhook) return { error: `escalation[${i}] needs emails or discord_webhook_url` };
+    out.push({
+      name: String(l.name ?? '').trim(),
+      after_min: after,
+      ...(emails ? { emails } : {}),
+      ...(webhook ? { discord_webhook_url: webhook } : {}),
+    });
+  }
+  // unnamed levels are called by their position in the sorted chain (level 1 = normal alerts)
+  out.sort((a, b) => a.after_min - b.after_min);
+  out.forEach((l, i) => { l.name ||= `Level ${i + 2}`; });
+  return { levels: out };
+}
+
+// how many chain levels are due for an excursion that started at sinceMs
+function dueLevels(levels, sinceMs, now = Date.now()) {
+  const elapsedMin = (now - sinceMs) / 60000;
+  return (levels || []).filter(l => elapsedMin >= l.after_min).length;
+}
+
+module.exports = { parseEscalation, dueLevels };
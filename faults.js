@@ -0,0 +1,107 @@
+// faults.js
+// Decodes the sensor status register (sr) into named conditions.
+// Each sensor type has a bit map: bit number -> { name, level }, where level is
+// 'fault' (drives the "fault" status and alerts) or 'warning' (shown, but not alerted).
+// The built-in maps below can be overridden per type and per bit from /config (sr_maps),
+// and each device picks its type with sensor_type (PUT /devices/:id).
+
+// default sensor type for devices that don't set one (the ESP32 boards use MAX31855 amps)
+const DEFAULT_SENSOR_TYPE = (process.env.SENSOR_TYPE || 'max31855').toLowerCase();
+
+// built-in bit maps
+const DEFAULT_SR_MAPS = {
+  // MAX31855 thermocouple amplifier: D0..D2 of the 32-bit frame
+  max31855: {
+    0: { name: 'open circuit', level: 'fault' },
+    1: { name: 'short to GND', level: 'fault' },
+    2: { name: 'short to VCC', level: 'fault' },
+  },
+  // MAX31856 fault status register (SR, 0x0F)
+  max31856: {
+    0: { name: 'open circuit', level: 'fault' },
+    1: { name: 'over/under voltage', level: 'fault' },
+    2: { name: 'thermocouple low threshold', level: 'warning' },
+    3: { name: 'thermocouple high threshold', level: 'warning' },
+    4: { name: 'cold-junction low threshold', level: 'warning' },
+    5: { name: 'cold-junction high threshold', level: 'warning' },
+    6: { name: 'thermocouple out of range', level: 'fault' },
+    7: { name: 'cold-junction out of range', level: 'fault' },
+  },
+  // MAX31865 RTD converter fault status register
+  max31865: {
+    2: { name: 'over/under voltage', level: 'fault' },
+    3: { name: 'RTDIN- < 0.85×VBIAS (FORCE- open)', level: 'fault' },
+    4: { name: 'REFIN- < 0.85×VBIAS (FORCE- open)', level: 'fault' },
+    5: { name: 'REFIN- > 0.85×VBIAS', level: 'fault' },
+    6: { name: 'RTD low threshold', level: 'warning' },
+    7: { name: 'RTD high threshold', level: 'warning' },
+  },
+  // unknown hardware: every set bit is a fault named by its position
+  generic: {},
+};
+
+const LEVELS = ['fault', 'warning'];
+
+// effective map for a type: built-in bits with the /config overrides merged on top
+function srMapFor(type, overrides) {
+  const t = String(type || DEFAULT_SENSOR_TYPE).toLowerCase();
+  return { ...(DEFAULT_SR_MAPS[t] || {}), ...((overrides && overrides[t]) || {}) };
+}
+
+// known sensor types (built-in plus any defined only in /config)
+function sensorTypes(overrides) {
+  return [...new Set([...Object.keys(DEFAULT_SR_MAPS), ...Object.keys(overrides || {})])];
+}
+
+// sr -> { sr, type, faults: [names], warnings: [names] }
+// bits without a map entry count as faults so new hardware errors never go unnoticed
+function decodeSr(sr, type, overrides) {
+  const bits = sr >>> 0;
+  const t = String(type || DEFAULT_SENSOR_TYPE).toLowerCase();
+  const map = srMapFor(t, overrides);
+  const faults = [];
+  const warnings = [];
+  for (let bit = 0; bit < 32; bit++) {
+    if (!(bits & (1 << bit))) continue;
+    const def = map[bit];
+    const name = (def && def.name) || `bit ${bit}`;
+    if (def && def.level === 'warning') warnings.push(name);
+    else faults.push(name);
+  }
+  return { sr: bits, type: t, faults, warnings };
+}
+
+// "open circuit, short to GND (sr=0x03)" style label for messages
+function describeSr(decoded) {
+  const names = [...decoded.faults, ...decoded.warnings.map(w => `${w} (warning)`)];
+  const hex = `sr=0x${decoded.sr.toString(16).padStart(2, '0')}`;
+  return names.length ? `${names.join(', ')} (${hex})` : hex;
+}
+
+// validate a /config sr_maps value; returns an error string or null
+function validateSrMaps(maps) {
+  if (!maps || typeof maps !== 'object' || Array.isArray(maps)) return 'sr_maps must be an object';
+  for (const [type, bits] of Object.entries(maps)) {
+    if (!bits || typeof bits !== 'object' || Array.isArray(bits)) return `sr_maps.${type} must be an object`;
+    for (const [bit, def] of Object.entries(bits)) {
+      const n = Number(bit);
+      if (!Number.isInteger(n) || n < 0 || n > 31) return `sr_maps.${type}: bit ${bit} must be 0..31`;
+      if (!def || typeof def.name !== 'string' || !def.name.trim()) return `sr_maps.${type}.${bit}.name required`;
+      if (def.level !== undefined && !LEVELS.includes(def.level)) return `sr_maps.${type}.${bit}.level must be fault or warning`;
+    }
+  }
+  return null;
+}
+
+// sensor types are looked up lower-cased (decodeSr), so store them that way;
+// "MAX31856" and "max31856" entries are merged
+function normalizeSrMaps(maps) {
+  const out = {};
+  for (const [type, bits] of Object.entries(maps)) {
+    const t = type.trim().toLowerCase();
+    out[t] = { ...(out[t] || {}), ...bits };
+  }
+  return out;
+}
+
+module.exports = { decodeSr, describeSr, srMapFor, sensorTypes, validateSrMaps, normalizeSrMaps, DEFAULT_SENSOR_TYPE };
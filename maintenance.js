@@ -0,0 +1,110 @@
+// maintenance.js
+// Maintenance windows: times when a device's readings are still stored but its notifications
+// are held back (planned defrosts, relocations, service visits).
+// Windows are written as short text specs and kept parsed alongside the text:
+//   "2026-11-02 08:00 - 2026-11-02 17:00"   one-off
+//   "mon,thu 09:00-10:30"                    weekly
+//   "daily 02:00-02:30"                      every day
+//   "first monday 09:00-12:00"               monthly (first|second|third|fourth|last)
+// Times are server local time (set TZ for the lab's zone). A window may run past midnight
+// ("sat 22:00-02:00" ends Sunday 02:00).
+
+const crypto = require('crypto');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const NTH = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+
+// "mon" / "monday" / "Mondays" -> 1, or -1
+function weekday(word) {
+  return WEEKDAYS.indexOf(String(word).toLowerCase().slice(0, 3));
+}
+
+// "HH:MM" -> minutes after midnight, or NaN
+function clock(s) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(s);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return NaN;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+// text spec -> { window } or { error }
+function parseWindow(spec, note) {
+  const text = String(spec || '').trim().replace(/\s+/g, ' ');
+  if (!text) return { error: 'window spec required' };
+  const base = { id: crypto.randomBytes(4).toString('hex'), spec: text, ...(note ? { note: String(note).slice(0, 200) } : {}) };
+
+  // one-off: "<date time> - <date time>"
+  const once = /^(\d{4}-\d{2}-\d{2}[ T]\d{1,2}:\d{2}) ?- ?(\d{4}-\d{2}-\d{2}[ T]\d{1,2}:\d{2})$/.exec(text);
+  if (once) {
+    const start = new Date(once[1].replace(' ', 'T')).getTime();
+    const end = new Date(once[2].replace(' ', 'T')).getTime();
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return { error: 'one-off window needs start < end' };
+    return { window: { ...base, type: 'once', start_ms: start, end_ms: end } };
+  }
+
+  // recurring: "<days> HH:MM-HH:MM"
+  const rec = /^(.+) (\d{1,2}:\d{2}) ?- ?(\d{1,2}:\d{2})$/.exec(text);
+  if (!rec) return { error: `can't read "${text}" (e.g. "first monday 09:00-12:00" or "2026-11-02 08:00 - 2026-11-02 17:00")` };
+  const from = clock(rec[2]);
+  const to = clock(rec[3]);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from === to) return { error: 'times must be HH:MM and differ' };
+  // a window that ends "earlier" than it starts runs past midnight
+  const durationMin = to > from ? to - from : to + 1440 - from;
+  const when = rec[1].toLowerCase();
+
+  if (when === 'daily' || when === 'every day') {
+    return { window: { ...base, type: 'weekly', days: [0, 1, 2, 3, 4, 5, 6], from_min: from, duration_min: durationMin } };
+  }
+  const nth = /^(first|second|third|fourth|last) (\w+)$/.exec(when);
+  if (nth) {
+    const day = weekday(nth[2]);
+    if (day < 0) return { error: `unknown weekday ${nth[2]}` };
+    return { window: { ...base, type: 'monthly', nth: NTH[nth[1]], day, from_min: from, duration_min: durationMin } };
+  }
+  const days = when.replace(/^every /, '').split(/[ ,]+/).map(weekday);
+  if (!days.length || days.some(d => d < 0)) return { error: `unknown days "${rec[1]}"` };
+  return { window: { ...base, type: 'weekly', days: [...new Set(days)].sort(), from_min: from, duration_min: durationMin } };
+}
+
+// does a recurring window start on this local calendar day?
+function startsOn(w, date) {
+  if (w.type === 'weekly') return w.days.includes(date.getDay());
+  if (w.type === 'monthly') {
+    if (date.getDay() !== w.day) return false;
+    if (w.nth > 0) return Math.ceil(date.getDate() / 7) === w.nth;
+    // last: a week later is already next month
+    const next = new Date(date);
+    next.setDate(date.getDate() + 7);
+    return next.getMonth() !== date.getMonth();
+  }
+  return false;
+}
+
+// window in force at `now` -> { window, until } (until = when it ends, ms), or null
+function activeWindow(windows, now = Date.now()) {
+  for (const w of windows || []) {
+    if (w.type === 'once') {
+      if (now >= w.start_ms && now < w.end_ms) return { window: w, until: w.end_ms };
+      continue;
+    }
+    // occurrences starting today or (for windows past midnight) yesterday
+    for (const back of [0, 1]) {
+      const day = new Date(now);
+      day.setHours(0, 0, 0, 0);
+      day.setDate(day.getDate() - back);
+      if (!startsOn(w, day)) continue;
+      const start = new Date(day);
+      start.setMinutes(w.from_min);
+      const end = new Date(start);
+      end.setMinutes(end.getMinutes() + w.duration_min);
+      if (now >= start.getTime() && now < end.getTime()) return { window: w, until: end.getTime() };
+    }
+  }
+  return null;
+}
+
+// one-off windows that are over can be dropped
+function expired(w, now = Date.now()) {
+  return w.type === 'once' && w.end_ms <= now;
+}
+
+module.exports = { parseWindow, activeWindow, expired };
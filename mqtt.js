@@ -0,0 +1,112 @@
+// mqtt.js
+// Optional MQTT ingest path. Connects to a broker (MQTT_URL) and subscribes to
+// freezers/<device_id>/reading; every message goes through the same pipeline as
+// POST /ingest (validation, credentials, dedup, alerts, storage).
+//
+// Payload: JSON { temp_c, sr, ts_ms, api_key } (api_key optional, see below) or a bare number (temp_c).
+// Identity: the device id comes from the topic. A payload device_id that disagrees is dropped.
+//   - api_key in the payload is checked exactly like the X-API-Key header.
+//   - MQTT_TRUST_BROKER=true treats the topic as proof of identity (use when the broker's
+//     ACLs already restrict each device to its own topic).
+//
+// Local testing: run any broker on this machine, e.g. `mosquitto -p 1883`, start the server
+// with MQTT_URL=mqtt://localhost:1883 and publish:
+//   mosquitto_pub -t freezers/DEV1/reading -m '{"temp_c":-80.2}'
+
+const MQTT_URL = process.env.MQTT_URL || '';
+const MQTT_TOPIC = process.env.MQTT_TOPIC || 'freezers/+/reading';
+const MQTT_CLIENT_ID = process.env.MQTT_CLIENT_ID || 'freezer-monitor-server';
+const MQTT_USERNAME = process.env.MQTT_USERNAME || '';
+const MQTT_PASSWORD = process.env.MQTT_PASSWORD || '';
+const MQTT_TRUST_BROKER = String(process.env.MQTT_TRUST_BROKER).toLowerCase() === 'true';
+
+// position of the '+' wildcard in the topic filter tells us where the device id is
+const ID_LEVEL = MQTT_TOPIC.split('/').indexOf('+');
+
+// device id from a concrete topic, or null if it doesn't match the filter shape
+function deviceIdFromTopic(topic) {
+  const parts = topic.split('/');
+  const filter = MQTT_TOPIC.split('/');
+  if (ID_LEVEL < 0 || parts.length !== filter.length) return null;
+  return parts[ID_LEVEL] ? decodeURIComponent(parts[ID_LEVEL]) : null;
+}
+
+// JSON object or bare number -> reading body, or null if unparseable
+function parsePayload(buf) {
+  const text = buf.toString('utf8').trim();
+  try {
+    const v = JSON.parse(text);
+    if (typeof v === 'number') return { temp_c: v };
+    if (v && typeof v === 'object' && !Array.isArray(v)) return v;
+  } catch { /* fall through */ }
+  return null;
+}
+
+// start the subscriber; resolveAuth(key), onReading(body, ingestAuth, source) and
+// onReject({ device_id, reason, detail, payload }) come from server.js
+// returns the client (or null when MQTT_URL isn't set)
+function startMqttIngest({ resolveAuth, onReading, onReject = () => {} }) {
+  if (!MQTT_URL) {
+    console.log('MQTT: OFF (set MQTT_URL to enable)');
+    return null;
+  }
+  if (ID_LEVEL < 0) {
+    console.warn(`MQTT: topic filter "${MQTT_TOPIC}" needs a + level for the device id; not starting`);
+    return null;
+  }
+
+  // required lazily so HTTP-only deployments never load the client
+  const mqtt = require('mqtt');
+  const client = mqtt.connect(MQTT_URL, {
+    clientId: MQTT_CLIENT_ID,
+    // persistent session so QoS 1 messages queue at the broker while we restart
+    clean: false,
+    username: MQTT_USERNAME || undefined,
+    password: MQTT_PASSWORD || undefined,
+    reconnectPeriod: 5000,
+  });
+
+  client.on('connect', () => {
+    console.log(`MQTT: connected to ${MQTT_URL}, subscribing ${MQTT_TOPIC}`);
+    client.subscribe(MQTT_TOPIC, { qos: 1 }, (err) => {
+      if (err) console.warn('MQTT subscribe failed:', err?.message || err);
+    });
+  });
+  client.on('error', (e) => console.warn('MQTT error:', e?.message || e));
+  client.on('offline', () => console.warn('MQTT: broker unreachable, retrying…'));
+
+  client.on('message', async (topic, payload) => {
+    try {
+      const id = deviceIdFromTopic(topic);
+      const body = parsePayload(payload);
+      if (!id || !body) {
+        onReject({ device_id: id, reason: 'unparseable', detail: `topic ${topic}`, payload: payload.toString('utf8') });
+        return;
+      }
+      if (body.device_id !== undefined && String(body.device_id) !== id) {
+        // never keep the key in the log
+        const { api_key: _key, ...rest } = body;
+        onReject({ device_id: id, reason: 'key_mismatch', detail: `device_id ${body.device_id} does not match topic ${topic}`, payload: rest });
+        return;
+      }
+
+      // same credential rules as X-API-Key, unless the broker is trusted to enforce identity
+      const ingestAuth = MQTT_TRUST_BROKER ? { deviceId: id } : resolveAuth(body.api_key || '');
+      if (!ingestAuth) {
+        // there is no response to carry the refusal, so it goes to the quarantine log
+        onReject({ device_id: id, reason: 'key_mismatch', detail: 'api_key refused' });
+        return;
+      }
+
+      const { api_key: _key, ...reading } = body;
+      const out = await onReading({ ...reading, device_id: id }, ingestAuth, 'mqtt');
+      if (out.error) console.warn(`MQTT: ${id} rejected (${out.status}): ${out.error}`);
+    } catch (e) {
+      console.warn('MQTT message handling failed:', e?.message || e);
+    }
+  });
+
+  return client;
+}
+
+module.exports = { startMqttIngest };
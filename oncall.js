@@ -0,0 +1,171 @@
+// oncall.js
+// On-call schedule: people with contact methods and quiet hours, weekly rotations, overrides.
+// Kept in db.data.oncall:
+//   people:    { <id>: { name, contacts: [{ type: 'email' | 'sms', address }], quiet: [window] } }
+//   rotations: { <id>: { name, people: [person ids], start_ms, shift_days } }
+//   overrides: [{ id, rotation, person, from_ms, to_ms, note }]
+// A rotation hands over every shift_days at the local time of start_ms, in the order of its
+// people. An override puts someone else on a rotation for a while (holidays, swaps).
+// Quiet hours use the maintenance window specs ("daily 22:00-07:00", "sat,sun 20:00-09:00");
+// during them a person's non-critical notifications wait until the quiet hours end.
+// SMS contacts are email-to-SMS gateway addresses (5551234567@vtext.com), sent as email.
+
+const crypto = require('crypto');
+const { parseRecipients } = require('./email');
+const { parseWindow, activeWindow } = require('./maintenance');
+
+const ID_RE = /^[\w-]{1,40}$/;
+const CONTACT_TYPES = ['email', 'sms'];
+const DAY_MS = 86_400_000;
+
+// date / ISO string / ms -> ms, or NaN
+function toMs(v) {
+  if (typeof v === 'number') return v;
+  return new Date(String(v ?? '').trim().replace(' ', 'T')).getTime();
+}
+
+// person from a request body -> { person } or { error }
+//   { name, contacts: [{ type, address }], quiet: ['daily 22:00-07:00'] | 'daily 22:00-07:00' }
+function parsePerson(body, prev = {}) {
+  if (!body || typeof body !== 'object') return { error: 'person must be an object' };
+  const p = { ...prev };
+  if (body.name !== undefined) p.name = String(body.name).trim().slice(0, 80);
+  if (body.contacts !== undefined) {
+    if (!Array.isArray(body.contacts)) return { error: 'contacts must be an array of { type, address }' };
+    const contacts = [];
+    for (const [i, c] of body.contacts.entries()) {
+      const type = String(c?.type || 'email').toLowerCase();
+      if (!CONTACT_TYPES.includes(type)) return { error: `contacts[${i}].type must be ${CONTACT_TYPES.join(' or ')}` };
+      const address = String(c?.address || '').trim();
+      if (parseRecipients(address).length !== 1 || !address.includes('@')) return { error: `contacts[${i}].address must be one email address` };
+      contacts.push({ type, address });
+    }
+    p.contacts = contacts;
+  }
+  if (body.quiet !== undefined) {
+    const specs = (Array.isArray(body.quiet) ? body.quiet : String(body.quiet ?? '').split(';'))
+      .map(s => String(s).trim()).filter(Boolean);
+    const quiet = [];
+    for (const spec of specs) {
+      const r = parseWindow(spec);
+      if (r.error) return { error: `quiet hours: ${r.error}` };
+      quiet.push(r.window);
+    }
+    p.quiet = quiet;
+  }
+  p.contacts ||= [];
+  p.quiet ||= [];
+  if (!p.name) return { error: 'name required' };
+  return { person: p };
+}
+
+// rotation from a request body -> { rotation } or { error }
+//   { name, people: [ids] | 'a,b,c', start: '2026-11-02 09:00', shift_days: 7 }
+function parseRotation(body, oncall, prev = {}) {
+  if (!body || typeof body !== 'object') return { error: 'rotation must be an object' };
+  const r = { ...prev };
+  if (body.name !== undefined) r.name = String(body.name).trim().slice(0, 80);
+  if (body.people !== undefined) {
+    const ids = (Array.isArray(body.people) ? body.people : String(body.people ?? '').split(','))
+      .map(s => String(s).trim()).filter(Boolean);
+    const unknown = ids.find(id => !oncall.people?.[id]);
+    if (unknown) return { error: `unknown person ${unknown}` };
+    r.people = ids;
+  }
+  if (body.start !== undefined) {
+    const ms = toMs(body.start);
+    if (!Number.isFinite(ms)) return { error: 'start must be a date and time' };
+    r.start_ms = ms;
+  }
+  if (body.shift_days !== undefined) {
+    const n = Number(body.shift_days);
+    if (!Number.isInteger(n) || n < 1 || n > 28) return { error: 'shift_days must be 1..28' };
+    r.shift_days = n;
+  }
+  r.people ||= [];
+  r.shift_days ||= 7;
+  if (!Number.isFinite(r.start_ms)) r.start_ms = Date.now();
+  return { rotation: r };
+}
+
+// override from a request body -> { override } or { error }
+//   { rotation, person, from, to, note }
+function parseOverride(body, oncall) {
+  if (!body || typeof body !== 'object') return { error: 'override must be an object' };
+  if (!oncall.rotations?.[body.rotation]) return { error: 'unknown rotation' };
+  if (!oncall.people?.[body.person]) return { error: 'unknown person' };
+  const from = toMs(body.from);
+  const to = toMs(body.to);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) return { error: 'from/to must be dates with from < to' };
+  return {
+    override: {
+      id: crypto.randomBytes(4).toString('hex'),
+      rotation: body.rotation,
+      person: body.person,
+      from_ms: from,
+      to_ms: to,
+      ...(body.note ? { note: String(body.note).slice(0, 200) } : {}),
+    },
+  };
+}
+
+// start of shift k (local calendar days, so handovers keep their clock time across DST)
+function shiftStart(rot, k) {
+  const d = new Date(rot.start_ms);
+  d.setDate(d.getDate() + k * rot.shift_days);
+  return d.getTime();
+}
+
+// who is on each rotation at `now` -> [{ rotation, rotation_name, person, name, until, override? }]
+function onCallNow(oncall, now = Date.now()) {
+  const out = [];
+  for (const [rid, rot] of Object.entries(oncall?.rotations || {})) {
+    const ov = (oncall.overrides || []).find(o => o.rotation === rid && now >= o.from_ms && now < o.to_ms && oncall.people?.[o.person]);
+    if (ov) {
+      out.push({ rotation: rid, rotation_name: rot.name || rid, person: ov.person, name: oncall.people[ov.person].name, until: ov.to_ms, override: ov.id });
+      continue;
+    }
+    const n = rot.people.length;
+    if (!n || now < rot.start_ms) continue;
+    // estimate the shift, then correct for DST hours
+    let k = Math.floor((now - rot.start_ms) / (rot.shift_days * DAY_MS));
+    while (k > 0 && shiftStart(rot, k) > now) k--;
+    while (shiftStart(rot, k + 1) <= now) k++;
+    const pid = rot.people[k % n];
+    if (!oncall.people?.[pid]) continue;
+    out.push({ rotation: rid, rotation_name: rot.name || rid, person: pid, name: oncall.people[pid].name, until: shiftStart(rot, k + 1) });
+  }
+  return out;
+}
+
+// is there anyone to put on call at all?
+function hasSchedule(oncall) {
+  return Object.values(oncall?.rotations || {}).some(r => r.people.length);
+}
+
+// Email addresses for an event fired at `now`: { now: [addresses], later: [{ until, to, names }] }.
+// Critical events reach everyone on call immediately; the rest wait out quiet hours.
+function recipientsFor(oncall, { severity, now = Date.now() }) {
+  const out = { now: [], later: [] };
+  const seen = new Set();
+  for (const on of onCallNow(oncall, now)) {
+    if (seen.has(on.person)) continue;
+    seen.add(on.person);
+    const p = oncall.people[on.person];
+    const addrs = p.contacts.map(c => c.address);
+    if (!addrs.length) continue;
+    const quiet = severity !== 'critical' ? activeWindow(p.quiet, now) : null;
+    if (!quiet) { out.now.push(...addrs); continue; }
+    const slot = out.later.find(l => l.until === quiet.until);
+    if (slot) { slot.to.push(...addrs); slot.names.push(p.name); } else out.later.push({ until: quiet.until, to: addrs, names: [p.name] });
+  }
+  out.now = [...new Set(out.now)];
+  return out;
+}
+
+// drop overrides that are over
+function pruneOverrides(oncall, now = Date.now()) {
+  oncall.overrides = (oncall.overrides || []).filter(o => o.to_ms > now);
+}
+
+module.exports = { parsePerson, parseRotation, parseOverride, onCallNow, hasSchedule, recipientsFor, pruneOverrides, ID_RE };
@@ -0,0 +1,267 @@
+// outbox.js
+// Durable queue between the alert manager and the notification channels. Every delivery is
+// written to outbox.json before it is attempted, so a provider outage or a restart doesn't
+// lose it: failures are retried with exponential backoff (OUTBOX_BASE_SEC doubling up to
+// OUTBOX_MAX_DELAY_MIN) until OUTBOX_RETRY_HOURS have passed, then moved to a dead-letter
+// list the admin page can retry from (kept in its own file, outbox-dead.json, so the pending
+// queue that is rewritten on every attempt stays small). Channels with min_gap_sec (Discord)
+// are spaced out by scheduling the next post instead of sleeping in the caller.
+// Batching: when batchWindowMs(msg, channel) says so, a message is held that long and every
+// other message for the very same destination arriving meanwhile joins it; the channel then
+// gets one { batch: [...] } message (channels.js formatBatch) instead of a burst of posts.
+// Holding: submit(…, { notBefore }) keeps a message until then (quiet hours); everything held
+// for the same destination until the same time is merged the same way, so only hold channels
+// that can batch.
+
+const crypto = require('crypto');
+const { createStateFile } = require('./state');
+
+const OUTBOX_BASE_SEC = Number(process.env.OUTBOX_BASE_SEC ?? 30);
+const OUTBOX_MAX_DELAY_MIN = Number(process.env.OUTBOX_MAX_DELAY_MIN ?? 60);
+const OUTBOX_RETRY_HOURS = Number(process.env.OUTBOX_RETRY_HOURS ?? 48);
+// dead-letter entries kept (oldest dropped first)
+const OUTBOX_DEAD_MAX = Number(process.env.OUTBOX_DEAD_MAX ?? 500);
+// how often due retries are looked for
+const OUTBOX_TICK_MS = Number(process.env.OUTBOX_TICK_MS ?? 5000);
+
+// HTTP statuses that won't get better by retrying (bad URL, auth, payload)
+function permanent(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+// delay before retry number n (1-based)
+function backoffMs(n) {
+  const ms = OUTBOX_BASE_SEC * 1000 * Math.pow(2, n - 1);
+  return Math.min(ms, OUTBOX_MAX_DELAY_MIN * 60_000) + Math.floor(Math.random() * 1000);
+}
+
+// what the admin page shows for a job (the channel holds secrets, the message is bulky)
+function summarize(msgs) {
+  const sev = msgs.map(m => m.severity);
+  return {
+    kind: msgs.length > 1 ? `${msgs.length} events` : msgs[0].evt?.kind,
+    device: [...new Set(msgs.map(m => m.device || m.evt?.id))].join(', '),
+    severity: ['critical', 'warning', 'info'].find(x => sev.includes(x)) || sev[0],
+    subject: msgs.length > 1 ? `${msgs.length} events` : msgs[0].subject,
+  };
+}
+
+// factory; send(msg, channel) -> { ok | skipped, status?, reason?, … } (channels.js sendToChannel)
+// batchWindowMs(msg, channel) -> ms to hold the message for batching (0 = send now)
+// deadFile defaults to <file>-dead.json next to the queue file
+function createOutbox({ file, deadFile = file.replace(/\.json$/, '') + '-dead.json', send, batchWindowMs = () => 0 }) {
+  // waiting for a (re)try, oldest first
+  let jobs = [];
+  // gave up, newest last
+  let dead = [];
+  // min_gap_sec spacing: gap key -> when the last post went out (not persisted)
+  const lastSent = new Map();
+  let timer = null;
+  let ticking = false;
+
+  const stateFile = createStateFile({ file, collect: () => ({ jobs: jobs.map(j => ({ ...j, sending: undefined })) }) });
+  const deadStateFile = createStateFile({ file: deadFile, collect: () => ({ dead }) });
+
+  async function load() {
+    const saved = await stateFile.load();
+    const savedDead = await deadStateFile.load();
+    jobs = saved?.jobs || [];
+    // older outbox.json files kept the dead list inline: move it to its own file
+    dead = savedDead?.dead || saved?.dead || [];
+    if (!savedDead && saved?.dead?.length) await persistDead();
+    if (jobs.length || dead.length) console.log(`Outbox: ${jobs.length} pending, ${dead.length} failed deliveries restored`);
+  }
+
+  // the pending queue is small and changes rarely, so every change is written straight away;
+  // the dead list only when something dies, is retried or dropped
+  const persist = () => stateFile.save();
+  const persistDead = () => deadStateFile.save();
+
+  function gapKey(ch) {
+    return `${ch.type}:${ch.webhook_url || ch.id}`;
+  }
+
+  function toDead(job, reason) {
+    jobs = jobs.filter(j => j !== job);
+    dead.push({ ...job, sending: undefined, dead_at: new Date().toISOString(), last_error: reason || job.last_error });
+    if (dead.length > OUTBOX_DEAD_MAX) dead = dead.slice(-OUTBOX_DEAD_MAX);
+    console.warn(`Outbox: giving up on ${job.via} for ${job.summary.device} after ${job.attempts} attempt(s): ${reason || job.last_error}`);
+  }
+
+  // one attempt -> result for the caller ({ via, ok | skipped | queued, … })
+  async function attempt(job) {
+    const now = Date.now();
+    const gapMs = Number(job.channel.min_gap_sec || 0) * 1000;
+    if (gapMs > 0) {
+      const key = gapKey(job.channel);
+      const wait = (lastSent.get(key) || 0) + gapMs - now;
+      if (wait > 0) {
+        // not a failure: just not this channel's turn yet
+        job.sending = false;
+        job.next_at = now + wait;
+        await persist();
+        return { via: job.via, ok: false, queued: true, job: job.id, next_at: new Date(job.next_at).toISOString(), reason: `waiting ${job.channel.min_gap_sec}s between posts` };
+      }
+      // claim the slot before the (slow) send so a parallel message waits its turn
+      lastSent.set(key, now);
+    }
+
+    job.sending = true;
+    job.attempts += 1;
+    let res;
+    try {
+      res = await send(job.msg, job.channel);
+    } catch (e) {
+      res = { ok: false, reason: e?.message || String(e) };
+    }
+    job.sending = false;
+
+    if (res.ok || res.skipped) {
+      jobs = jobs.filter(j => j !== job);
+      if (res.ok && job.attempts > 1) console.log(`Outbox: ${job.via} delivered for ${job.summary.device} on attempt ${job.attempts}`);
+      await persist();
+      return { via: job.via, ...res, ...(job.attempts > 1 ? { attempts_made: job.attempts } : {}) };
+    }
+
+    job.last_error = [res.status, res.reason].filter(v => v !== undefined && v !== '').join(' ') || 'failed';
+    const horizon = (job.retry_from || job.created_ms) + OUTBOX_RETRY_HOURS * 3600_000;
+    if (permanent(res.status) || now + backoffMs(job.attempts) > horizon) {
+      toDead(job, job.last_error);
+      await Promise.all([persist(), persistDead()]);
+      return { via: job.via, ...res, dead: true, job: job.id };
+    }
+    job.next_at = Date.now() + backoffMs(job.attempts);
+    await persist();
+    return { via: job.via, ...res, queued: true, job: job.id, next_at: new Date(job.next_at).toISOString() };
+  }
+
+  // queue one message for one channel and make the first attempt right away
+  // (or hold it for a batch / until notBefore; the result then says batched / held and when it goes out)
+  async function submit(msg, channel, { notBefore = 0, reason } = {}) {
+    const now = Date.now();
+    const holdUntil = notBefore > now ? notBefore : 0;
+    const windowMs = batchWindowMs(msg, channel);
+    // same destination = same resolved channel settings (recipients, webhook, …) and release time
+    const batchKey = windowMs > 0 || holdUntil ? JSON.stringify(channel) + (holdUntil ? `@${holdUntil}` : '') : undefined;
+    // what the caller is told about a message that isn't sent yet
+    const waiting = (job, why) => (holdUntil
+      ? { via: channel.id, ok: false, held: true, job: job.id, next_at: new Date(job.next_at).toISOString(), reason: [reason || `held until ${new Date(holdUntil).toLocaleString()}`, why].filter(Boolean).join('; ') }
+      : { via: channel.id, ok: false, batched: true, job: job.id, next_at: new Date(job.next_at).toISOString(), reason: why });
+    const open = batchKey && jobs.find(j => j.batch_key === batchKey && !j.attempts && !j.sending && j.next_at > now);
+    if (open) {
+      const others = open.msg.batch.push(msg) - 1;
+      open.summary = summarize(open.msg.batch);
+      await persist();
+      return waiting(open, `batched with ${others} earlier event(s)`);
+    }
+
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      via: channel.id,
+      channel,
+      msg: batchKey ? { batch: [msg] } : msg,
+      summary: summarize([msg]),
+      created_at: new Date(now).toISOString(),
+      created_ms: now,
+      attempts: 0,
+      next_at: Math.max(now + windowMs, holdUntil),
+      ...(batchKey ? { batch_key: batchKey } : {}),
+      // claimed for the first attempt below, so a tick() while it's being persisted leaves it alone
+      sending: !batchKey,
+    };
+    jobs.push(job);
+    await persist();
+    if (batchKey) {
+      return waiting(job, holdUntil ? '' : `held ${Math.round(windowMs / 1000)}s to batch with other events`);
+    }
+    return attempt(job);
+  }
+
+  // retry whatever is due, one at a time
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      for (const job of jobs.filter(j => !j.sending && j.next_at <= now)) {
+        if (jobs.includes(job) && !job.sending) await attempt(job);
+      }
+    } catch (e) {
+      console.warn('Outbox tick failed:', e?.message || e);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  // admin view: no channel secrets, no message bodies
+  function view(job) {
+    return {
+      id: job.id,
+      via: job.via,
+      type: job.channel.type,
+      name: job.channel.name,
+      ...job.summary,
+      created_at: job.created_at,
+      attempts: job.attempts,
+      ...(job.dead_at ? { dead_at: job.dead_at } : { next_at: new Date(job.next_at).toISOString() }),
+      last_error: job.last_error,
+    };
+  }
+
+  function list() {
+    return { pending: jobs.map(view), dead: dead.slice().reverse().map(view) };
+  }
+
+  // manual retry of a dead (or waiting) delivery: attempt now, fresh retry horizon
+  async function retry(id) {
+    let job = jobs.find(j => j.id === id);
+    if (!job) {
+      const d = dead.find(j => j.id === id);
+      if (!d) return null;
+      dead = dead.filter(j => j !== d);
+      job = { ...d, dead_at: undefined };
+      jobs.push(job);
+      await Promise.all([persist(), persistDead()]);
+    }
+    if (job.sending) return { via: job.via, ok: false, queued: true, job: job.id, reason: 'already being sent' };
+    job.retry_from = Date.now();
+    job.next_at = Date.now();
+    return attempt(job);
+  }
+
+  // put every dead delivery back in the queue (the worker sends them)
+  async function retryAll() {
+    const now = Date.now();
+    const n = dead.length;
+    for (const d of dead) jobs.push({ ...d, dead_at: undefined, retry_from: now, next_at: now });
+    dead = [];
+    await Promise.all([persist(), persistDead()]);
+    tick();
+    return n;
+  }
+
+  // remove a pending or dead delivery -> { ok } | { sending } (mid-attempt, kept) | null (unknown id)
+  async function drop(id) {
+    if (jobs.some(j => j.id === id && j.sending)) return { sending: true };
+    const before = jobs.length + dead.length;
+    jobs = jobs.filter(j => j.id !== id);
+    dead = dead.filter(j => j.id !== id);
+    if (jobs.length + dead.length === before) return null;
+    await Promise.all([persist(), persistDead()]);
+    return { ok: true };
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, OUTBOX_TICK_MS);
+    tick();
+  }
+
+  function flush() {
+    if (timer) { clearInterval(timer); timer = null; }
+    return Promise.all([stateFile.flush(), deadStateFile.flush()]);
+  }
+
+  return { load, submit, tick, list, retry, retryAll, drop, start, flush };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,123 @@
+// quarantine.js
+// Bounded log of rejected and suspicious ingest payloads, so a failing probe or a firmware
+// bug leaves evidence instead of a console.warn. Keeps the newest QUARANTINE_MAX entries,
+// lifetime counters per device and reason, and a sliding window per device to spot
+// rejection-rate spikes (onSpike is called at most once per window per device).
+
+const QUARANTINE_MAX = Number(process.env.QUARANTINE_MAX ?? 500);
+// stored payloads are cut to this many characters of JSON
+const QUARANTINE_PAYLOAD_CHARS = Number(process.env.QUARANTINE_PAYLOAD_CHARS ?? 1000);
+// rejection-rate alert: this many rejections from one device inside the window
+const QUARANTINE_RATE_WINDOW_MIN = Number(process.env.QUARANTINE_RATE_WINDOW_MIN ?? 10);
+const QUARANTINE_RATE_THRESHOLD = Number(process.env.QUARANTINE_RATE_THRESHOLD ?? 20);
+
+// reasons used by server.js/mqtt.js (free-form strings are accepted too)
+const REASONS = {
+  WRONG_CONTENT_TYPE: 'wrong_content_type',
+  MISSING_FIELD: 'missing_field',
+  NON_FINITE_TEMP: 'non_finite_temp',
+  TEMP_OUT_OF_RANGE: 'temp_out_of_range',
+  TS_OUT_OF_WINDOW: 'ts_out_of_window',
+  INVALID_CHANNEL: 'invalid_channel',
+  KEY_MISMATCH: 'key_mismatch',
+  UNPARSEABLE: 'unparseable',
+};
+
+// JSON of the payload, truncated
+function clip(payload) {
+  if (payload === undefined) return undefined;
+  let s;
+  try { s = JSON.stringify(payload); } catch { s = String(payload); }
+  return s.length > QUARANTINE_PAYLOAD_CHARS ? `${s.slice(0, QUARANTINE_PAYLOAD_CHARS)}…` : s;
+}
+
+// factory; onSpike({ device_id, count, windowMin, lastReason }) is optional
+function createQuarantine({ onSpike, onChange } = {}) {
+  // newest last
+  let entries = [];
+  // device_id -> { total, by_reason: { reason: n }, last_at, last_reason }
+  let counts = {};
+  // device_id -> rejection timestamps inside the rate window (not persisted)
+  const recent = new Map();
+  // device_id -> when the last spike alert went out
+  const spikedAt = new Map();
+
+  // record one rejection; action says what happened to the data ('dropped' or 'stored')
+  function add({ device_id, reason, detail, payload, source = 'http', action = 'dropped' }) {
+    const now = Date.now();
+    const id = device_id ? String(device_id) : '(unknown)';
+    entries.push({
+      at: new Date(now).toISOString(),
+      device_id: id,
+      reason,
+      detail,
+      source,
+      action,
+      payload: clip(payload),
+    });
+    if (entries.length > QUARANTINE_MAX) entries = entries.slice(-QUARANTINE_MAX);
+
+    const c = counts[id] ||= { total: 0, by_reason: {} };
+    c.total++;
+    c.by_reason[reason] = (c.by_reason[reason] || 0) + 1;
+    c.last_at = new Date(now).toISOString();
+    c.last_reason = reason;
+
+    // sliding window for the rate alert
+    const windowMs = QUARANTINE_RATE_WINDOW_MIN * 60_000;
+    const times = (recent.get(id) || []).filter(t => now - t < windowMs);
+    times.push(now);
+    recent.set(id, times);
+    if (QUARANTINE_RATE_THRESHOLD > 0 && times.length >= QUARANTINE_RATE_THRESHOLD &&
+        now - (spikedAt.get(id) || 0) >= windowMs) {
+      spikedAt.set(id, now);
+      if (typeof onSpike === 'function') {
+        try { onSpike({ device_id: id, count: times.length, windowMin: QUARANTINE_RATE_WINDOW_MIN, lastReason: reason }); }
+        catch (e) { console.warn('Quarantine spike handler error:', e); }
+      }
+    }
+
+    if (typeof onChange === 'function') onChange();
+    console.warn(`quarantine [${id}] ${reason}${detail ? `: ${detail}` : ''} (${source}, ${action})`);
+  }
+
+  // newest first, optionally filtered
+  function list({ device_id, reason, limit = 100 } = {}) {
+    return entries
+      .filter(e => (!device_id || e.device_id === device_id) && (!reason || e.reason === reason))
+      .slice(-limit)
+      .reverse();
+  }
+
+  function getCounts() {
+    return counts;
+  }
+
+  // forget entries (and counters) for one device or everything
+  function clear(device_id) {
+    if (device_id) {
+      entries = entries.filter(e => e.device_id !== device_id);
+      delete counts[device_id];
+      recent.delete(device_id);
+    } else {
+      entries = [];
+      counts = {};
+      recent.clear();
+    }
+    if (typeof onChange === 'function') onChange();
+  }
+
+  // persistence hooks (see state.js)
+  function exportState() {
+    return { entries, counts };
+  }
+  function importState(obj) {
+    if (!obj) return;
+    entries = Array.isArray(obj.entries) ? obj.entries.slice(-QUARANTINE_MAX) : [];
+    counts = obj.counts && typeof obj.counts === 'object' ? obj.counts : {};
+  }
+
+  return { add, list, counts: getCounts, clear, exportState, importState };
+}
+
+module.exports = { createQuarantine, REASONS };
@@ -0,0 +1,203 @@
+// retention.js
+// Retention policy + downsampling for the readings store.
+// Raw readings are kept for N days; after that each whole UTC day is rolled up into
+// 5-minute and hourly buckets (min/max/avg/count) that are kept much longer, and the raw
+// day file is deleted. readHistory() stitches raw data and rollups back together so callers
+// (CSV export, history queries) don't need to know which tier a time range lives in.
+
+const { dayStartMs } = require('./store');
+
+const DAY_MS = 86_400_000;
+
+// rollup tiers, finest first
+const TIERS = [
+  { label: '5m', ms: 5 * 60_000 },
+  { label: '1h', ms: 3_600_000 },
+];
+
+// env defaults; /config (retention_raw_days, retention_5m_days, retention_1h_days,
+// retention_events_days) overrides at runtime. 0 disables that step (keep forever).
+const RETENTION_RAW_DAYS = Number(process.env.RETENTION_RAW_DAYS ?? 90);
+const RETENTION_5M_DAYS = Number(process.env.RETENTION_5M_DAYS ?? 365);
+const RETENTION_1H_DAYS = Number(process.env.RETENTION_1H_DAYS ?? 3650);
+// alert/event history (see server.js GET /events)
+const RETENTION_EVENTS_DAYS = Number(process.env.RETENTION_EVENTS_DAYS ?? 365);
+// how often the background job runs
+const RETENTION_INTERVAL_MIN = Number(process.env.RETENTION_INTERVAL_MIN ?? 60);
+
+// '30s' | '5m' | '1h' | '1d' -> milliseconds, or null if it doesn't parse
+function parseBucket(s) {
+  const m = /^(\d+)\s*(s|m|h|d)$/.exec(String(s || '').trim());
+  if (!m) return null;
+  const n = Number(m[1]);
+  const unit = { s: 1000, m: 60_000, h: 3_600_000, d: DAY_MS }[m[2]];
+  return n > 0 ? n * unit : null;
+}
+
+// Group rows (raw readings or finer rollups) into fixed buckets, per probe channel.
+// Rollup inputs are weighted by their count so an hourly avg built from 5m rows stays exact.
+// sr is OR-ed so a fault anywhere in the bucket remains visible.
+function rollupRows(rows, bucketMs, label) {
+  const buckets = new Map();
+  for (const r of rows) {
+    const start = Math.floor(r.ts_ms / bucketMs) * bucketMs;
+    const k = `${r.channel || ''}\n${start}`;
+    const n = r.count || 1;
+    const lo = r.min_c ?? r.temp_c;
+    const hi = r.max_c ?? r.temp_c;
+    const b = buckets.get(k);
+    if (!b) {
+      buckets.set(k, { device_id: r.device_id, channel: r.channel, start, min: lo, max: hi, sum: r.temp_c * n, count: n, sr: (r.sr >>> 0) || 0 });
+    } else {
+      b.min = Math.min(b.min, lo);
+      b.max = Math.max(b.max, hi);
+      b.sum += r.temp_c * n;
+      b.count += n;
+      b.sr = (b.sr | (r.sr >>> 0)) >>> 0;
+    }
+  }
+  return [...buckets.values()]
+    .sort((a, b) => a.start - b.start)
+    .map(b => ({
+      ts: new Date(b.start).toISOString(),
+      ts_ms: b.start,
+      device_id: b.device_id,
+      ...(b.channel ? { channel: b.channel } : {}),
+      temp_c: Math.round((b.sum / b.count) * 100) / 100,
+      min_c: b.min,
+      max_c: b.max,
+      count: b.count,
+      sr: b.sr,
+      bucket: label,
+    }));
+}
+
+// current policy: DB config wins over env
+function policyFrom(cfg = {}) {
+  const pick = (v, d) => (Number.isFinite(Number(v)) && v !== null && v !== '' ? Number(v) : d);
+  return {
+    rawDays: pick(cfg.retention_raw_days, RETENTION_RAW_DAYS),
+    '5m': pick(cfg.retention_5m_days, RETENTION_5M_DAYS),
+    '1h': pick(cfg.retention_1h_days, RETENTION_1H_DAYS),
+    eventsDays: pick(cfg.retention_events_days, RETENTION_EVENTS_DAYS),
+  };
+}
+
+// Read a device's history across tiers: raw where raw still exists, 5m rollups before that,
+// hourly rollups before the oldest 5m day. Rows come back oldest first.
+async function readHistory({ raw, rollups }, id, { from, to, channel, max = Infinity } = {}) {
+  const fromMs = from == null ? -Infinity : +from;
+  const toMs = to == null ? Infinity : +to;
+
+  // everything at or after rawStart is served from raw readings
+  const rawStart = raw.firstTs(id) ?? Infinity;
+  const out = await raw.query(id, { from: Math.max(fromMs, rawStart), to: toMs, channel, max });
+  // with max: more than max rows means too many, whatever the rollups would add
+  if (fromMs >= rawStart || out.length > max) return out;
+
+  // walk the rollup tiers from fine to coarse for the part before rawStart
+  const older = [];
+  let boundary = rawStart;
+  for (const tier of TIERS) {
+    if (fromMs >= boundary || out.length + older.length > max) break;
+    const s = rollups[tier.label];
+    const tierStart = s.firstTs(id) ?? boundary;
+    const rows = await s.query(id, { from: Math.max(fromMs, tierStart), to: Math.min(toMs, boundary - 1), channel, max: max - out.length - older.length });
+    older.unshift(...rows);
+    boundary = Math.min(boundary, tierStart);
+  }
+  return older.concat(out);
+}
+
+// factory for the background job
+// stores: { raw, rollups: { '5m', '1h' } }; getConfig returns the DB config
+// events (optional) is the alert/event history store; its days are simply pruned.
+function createRetentionJob({ raw, rollups, events }, getConfig) {
+  let timer = null;
+  let running = false;
+
+  // roll up and prune everything the policy says is due; safe to run repeatedly
+  async function runOnce(now = Date.now()) {
+    if (running) return null;
+    running = true;
+    const summary = { rolledDays: 0, prunedRollupDays: 0, prunedEventDays: 0 };
+    try {
+      const policy = policyFrom(getConfig());
+
+      // 1) raw days older than the cut-off -> rollups, then delete the raw day
+      if (policy.rawDays > 0) {
+        const cutoff = now - policy.rawDays * DAY_MS;
+        for (const id of raw.deviceIds()) {
+          for (const key of raw.days(id)) {
+            // only whole days that ended before the cut-off
+            if (dayStartMs(key) + DAY_MS > cutoff) break;
+            const range = { from: dayStartMs(key), to: dayStartMs(key) + DAY_MS - 1 };
+            const rows = await raw.query(id, range);
+            // merge with an existing rollup day (a late backfill can recreate an already rolled-up raw day)
+            for (const tier of TIERS) {
+              const s = rollups[tier.label];
+              const existing = await s.query(id, range);
+              await s.replaceDay(id, key, rollupRows(existing.concat(rows), tier.ms, tier.label));
+            }
+            await raw.removeDay(id, key);
+            summary.rolledDays++;
+          }
+        }
+      }
+
+      // 2) rollup days older than their own retention are deleted
+      for (const tier of TIERS) {
+        const keepDays = policy[tier.label];
+        if (!(keepDays > 0)) continue;
+        const cutoff = now - keepDays * DAY_MS;
+        const s = rollups[tier.label];
+        for (const id of s.deviceIds()) {
+          for (const key of s.days(id)) {
+            if (dayStartMs(key) + DAY_MS > cutoff) break;
+            await s.removeDay(id, key);
+            summary.prunedRollupDays++;
+          }
+        }
+      }
+
+      // 3) event history days older than its retention are deleted
+      if (events && policy.eventsDays > 0) {
+        const cutoff = now - policy.eventsDays * DAY_MS;
+        for (const id of events.deviceIds()) {
+          for (const key of events.days(id)) {
+            if (dayStartMs(key) + DAY_MS > cutoff) break;
+            await events.removeDay(id, key);
+            summary.prunedEventDays++;
+          }
+        }
+      }
+
+      if (summary.rolledDays || summary.prunedRollupDays || summary.prunedEventDays) {
+        console.log(`Retention: rolled up ${summary.rolledDays} raw day(s), pruned ${summary.prunedRollupDays} rollup day(s), ${summary.prunedEventDays} event day(s)`);
+      }
+      return summary;
+    } catch (e) {
+      console.warn('Retention job failed:', e?.message || e);
+      return null;
+    } finally {
+      running = false;
+    }
+  }
+
+  // start the periodic job (first run shortly after boot)
+  function start() {
+    if (timer) return;
+    setTimeout(runOnce, 30_000).unref?.();
+    timer = setInterval(runOnce, Math.max(1, RETENTION_INTERVAL_MIN) * 60_000);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = { createRetentionJob, readHistory, rollupRows, parseBucket, policyFrom, TIERS };
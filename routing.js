@@ -0,0 +1,76 @@
+// routing.js
+// Who gets a device's notifications. Devices can belong to a group (db.data.groups) and both
+// groups and devices can carry routing overrides:
+//   { alert_to_email: 'a@lab.org,b@lab.org', discord_webhook_url, discord_thread_id,
+//     notify: { <channel id>: true | false },
+//     severity_channels: { warning: ['discord'], critical: ['email', 'discord'] } }
+// Each field is resolved device -> group -> global config; notify switches individual
+// notification channels (see channels.js) on or off for the devices it applies to, and
+// severity_channels limits warning / critical notifications to the listed channel ids
+// (a severity that isn't listed goes to every channel).
+
+const { parseRecipients } = require('./email');
+
+const ROUTE_FIELDS = ['alert_to_email', 'discord_webhook_url', 'discord_thread_id'];
+const GROUP_ID_RE = /^[\w-]{1,40}$/;
+const SEVERITIES = ['warning', 'critical'];
+
+// { warning: [ids], critical: [ids] } from an object (arrays or comma lists), or { error }
+function parseSeverityChannels(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return { error: 'severity_channels must be an object of severity -> channel ids' };
+  const out = {};
+  for (const [sev, ids] of Object.entries(v)) {
+    if (!SEVERITIES.includes(sev)) return { error: `severity_channels: severity must be ${SEVERITIES.join(' or ')}` };
+    if (ids === null) continue;
+    const list = (Array.isArray(ids) ? ids : String(ids).split(',')).map(x => String(x).trim()).filter(Boolean);
+    out[sev] = [...new Set(list)];
+  }
+  return { value: out };
+}
+
+// validated routing object (replaces the previous one), or { error }.
+// Empty / null fields and notify entries are left out.
+function parseRouting(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'routing must be an object' };
+  const out = {};
+  for (const k of ROUTE_FIELDS) {
+    if (body[k] === undefined) continue;
+    const s = body[k] === null ? '' : String(body[k]).trim();
+    if (!s) continue;
+    if (k === 'alert_to_email' && !parseRecipients(s).length) return { error: 'alert_to_email has no addresses' };
+    if (k === 'discord_webhook_url' && !s.startsWith('https://discord.com/api/webhooks/')) {
+      return { error: 'discord_webhook_url looks invalid' };
+    }
+    out[k] = s;
+  }
+  if (body.notify != null) {
+    if (typeof body.notify !== 'object' || Array.isArray(body.notify)) return { error: 'notify must be an object of channel id -> true/false' };
+    const notify = {};
+    for (const [id, v] of Object.entries(body.notify)) {
+      if (v === null) continue;
+      if (typeof v !== 'boolean') return { error: `notify.${id} must be true or false` };
+      notify[id] = v;
+    }
+    if (Object.keys(notify).length) out.notify = notify;
+  }
+  if (body.severity_channels != null) {
+    const r = parseSeverityChannels(body.severity_channels);
+    if (r.error) return r;
+    if (Object.keys(r.value).length) out.severity_channels = r.value;
+  }
+  return { routing: out };
+}
+
+// effective routing for a device: device override -> group -> global config
+function resolveRouting(cfg, group, device) {
+  const layers = [cfg || {}, group?.routing || {}, device?.routing || {}];
+  const out = { notify: {}, severity_channels: {} };
+  for (const layer of layers) {
+    for (const k of ROUTE_FIELDS) if (layer[k]) out[k] = layer[k];
+    Object.assign(out.notify, layer.notify || {});
+    Object.assign(out.severity_channels, layer.severity_channels || {});
+  }
+  return out;
+}
+
+module.exports = { parseRouting, parseSeverityChannels, resolveRouting, GROUP_ID_RE };
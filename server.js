@@ -1,5 +1,5 @@
 // server.js
-// Express ingest + Lowdb storage + Alerts (Email & Discord) + Admin UI + CSV export + Test route
+// Express ingest + partitioned readings store (Lowdb for config) + Alerts (Email, Discord, Slack, Teams, ntfy, webhooks) + Admin UI + CSV export + Test route
 // Node 18+ (uses global fetch in discord.js helper)
 
 const express = require('express');
@@ -7,6 +7,7 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 const fs = require('fs/promises');
+const crypto = require('crypto');
 
 dotenv.config();
 
@@ -26,32 +27,44 @@ function adminAuth(req, res, next) {
 }
 
 // --- Email status log (for visibility) ---
+// EMAIL_PROVIDER may list several providers to fail over in order, e.g. "resend,smtp"
 const EMAIL_PROVIDER = (process.env.EMAIL_PROVIDER || 'smtp').toLowerCase();
 const RESEND_API_KEY = process.env.RESEND_API_KEY || '';
 const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY || '';
 
-// let email status be "DRY-RUN"
-let emailStatus = "DRY-RUN";
-// if email provider is equal to resend both in value and datatype
-if (EMAIL_PROVIDER === 'resend') {
-  // set email status to be ok if resend api exist, else missing api
-  emailStatus = RESEND_API_KEY ? "HTTPS OK (Resend)" : "MISSING RESEND_API_KEY";
-} else {
-  // smtpready is set to boolean value of SMTP_HOST 
-  const smtpReady = !!process.env.SMTP_HOST && !!process.env.SMTP_USER && !!process.env.SMTP_PASS;
-  // email status is set to ternary statement depending on smtpReady is true or false
-  emailStatus = smtpReady ? "SMTP CONNECTABLE" : "DRY-RUN (missing SMTP_*)";
+// what each provider would do with the current env
+function emailProviderStatus(provider) {
+  if (provider === 'resend') return RESEND_API_KEY ? "HTTPS OK (Resend)" : "MISSING RESEND_API_KEY";
+  if (provider === 'sendgrid') return SENDGRID_API_KEY ? "HTTPS OK (SendGrid)" : "MISSING SENDGRID_API_KEY";
+  if (provider === 'smtp') {
+    // smtpready is set to boolean value of SMTP_HOST 
+    const smtpReady = !!process.env.SMTP_HOST && !!process.env.SMTP_USER && !!process.env.SMTP_PASS;
+    // email status is set to ternary statement depending on smtpReady is true or false
+    return smtpReady ? "SMTP CONNECTABLE" : "DRY-RUN (missing SMTP_*)";
+  }
+  return "UNKNOWN PROVIDER";
 }
 
 // log email and provider information
 console.log(
-  "Email:", emailStatus,
+  "Email:", EMAIL_PROVIDER.split(/[,\s;]+/).filter(Boolean).map(p => `${p}: ${emailProviderStatus(p)}`).join(' -> '),
   "| PROVIDER=", EMAIL_PROVIDER,
   "| FROM=", process.env.ALERT_FROM_EMAIL || process.env.SMTP_USER || "(missing)"
 );
 
-// Discord (optional)
-const { postToDiscord, buildFreezerEmbed } = require('./discord');
+// Notification channels (email, Discord, Slack, Teams, ntfy, webhooks)
+const { parseChannels, skipReason, canBatch, sendToChannel, channelSchemas, headline, colorOf, hex } = require('./channels');
+// HTML alert emails (event card with a chart of recent readings)
+const { eventCard } = require('./emailhtml');
+// durable delivery queue with retries and a dead-letter list
+const { createOutbox } = require('./outbox');
+const { parseRecipients, parseProviders } = require('./email');
+// scheduled daily / weekly summaries
+const { buildDigest, digestText, digestHtml, digestEmbed, digestDue, WEEKDAYS } = require('./digest');
+// device groups and per-device recipients / channel switches
+const { parseRouting, parseSeverityChannels, resolveRouting, GROUP_ID_RE } = require('./routing');
+// on-call rotations, overrides and quiet hours (who gets the email alerts)
+const { parsePerson, parseRotation, parseOverride, onCallNow, hasSchedule, recipientsFor, pruneOverrides, ID_RE: ONCALL_ID_RE } = require('./oncall');
 
 // setting discord constants to be utilized
 const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL || '';
@@ -69,7 +82,7 @@ console.log(
 );
 
 // creating objects and including the alerts.js file
-const { createAlertManager, setConfigGetter } = require('./alerts');
+const { createAlertManager, setConfigGetter, setEscalationGetter, setAckLinker, setSuppressionGetter, stateKey, OFFLINE_AFTER_MS } = require('./alerts');
 const alerts = createAlertManager();
 
 // create express application
@@ -77,8 +90,9 @@ const app = express();
 
 // CORS middleware to prevent external sites allowed
 app.use(cors({ origin: false }));
-// json file limit it 64kb
-app.use(express.json({ limit: '64kb' }));
+// json file limit it 64kb (batch ingest brings its own, larger parser)
+const jsonBody = express.json({ limit: '64kb' });
+app.use((req, res, next) => (req.path === '/ingest/batch' ? next() : jsonBody(req, res, next)));
 
 // Env knobs (env defaults - DB config can override at runtime)
 const PORT = parseInt(process.env.PORT || '3000', 10);
@@ -87,9 +101,53 @@ const LOWER = Number(process.env.LOWER_BOUND_C ?? -90);
 const UPPER = Number(process.env.UPPER_BOUND_C ?? -70);
 const DEDUP_DELTA_C = Number(process.env.DEDUP_DELTA_C ?? 0.2);
 const KEEPALIVE_MS = Number(process.env.KEEPALIVE_MS ?? 300000);
-
-// Lowdb (JSON on disk)
+// Alert tuning defaults: minutes out of range before alerting (door openings, defrost) and
+// how far back inside the bounds a reading must be before an alert recovers
+const ALERT_DELAY_MIN = Number(process.env.ALERT_DELAY_MIN ?? 0);
+const HYSTERESIS_C = Number(process.env.HYSTERESIS_C ?? 0);
+// Trend alerts (0 = off): warming faster than this many °C/hour, or projected to cross the
+// upper bound within this many minutes
+const TREND_RATE_C_PER_H = Number(process.env.TREND_RATE_C_PER_H ?? 0);
+const TREND_HORIZON_MIN = Number(process.env.TREND_HORIZON_MIN ?? 0);
+// Warning band inside LOWER/UPPER (the critical bounds); unset = no warnings
+const WARN_LOWER = process.env.WARN_LOWER_C ? Number(process.env.WARN_LOWER_C) : undefined;
+const WARN_UPPER = process.env.WARN_UPPER_C ? Number(process.env.WARN_UPPER_C) : undefined;
+// Where people reach this server (links in emails; unset = no links)
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+// Hours of readings charted in alert emails
+const EMAIL_CHART_HOURS = Number(process.env.EMAIL_CHART_HOURS ?? 6);
+// Seconds to hold non-critical notifications so events arriving together (warnings from several
+// freezers, recoveries after a power blip) go out as one email / Discord post per destination; 0 = off
+const COALESCE_SEC = Number(process.env.COALESCE_SEC ?? 20);
+
+// Batch ingest knobs: how far back a backfill may reach, how fresh a reading must be
+// to still count as "live" for alerting, and size caps for one request
+const BACKFILL_MAX_AGE_MS = Number(process.env.BACKFILL_MAX_AGE_H ?? 168) * 3600 * 1000;
+const BACKFILL_LIVE_MS = Number(process.env.BACKFILL_LIVE_SEC ?? 120) * 1000;
+const BATCH_MAX_READINGS = Number(process.env.BATCH_MAX_READINGS ?? 5000);
+const BATCH_BODY_LIMIT = process.env.BATCH_BODY_LIMIT || '1mb';
+
+// Lowdb (JSON on disk) for devices/config; readings live in the partitioned store
+const { createReadingStore } = require('./store');
+const { createRetentionJob, readHistory, rollupRows, parseBucket, policyFrom, TIERS } = require('./retention');
+const { createStateFile } = require('./state');
+const { generateSecret, credentialRecord, revokedRecord, findDeviceForKey, publicCredential } = require('./credentials');
+const { startMqttIngest } = require('./mqtt');
+const { decodeSr, sensorTypes, validateSrMaps, normalizeSrMaps } = require('./faults');
+const { createQuarantine, REASONS } = require('./quarantine');
+const { parseEscalation } = require('./escalation');
+const { ackLink, verifyAck } = require('./ack');
+const { parseWindow, activeWindow, expired } = require('./maintenance');
 let db;
+let store;
+// state.json: alert manager + dedup state that must survive restarts
+let stateFile;
+// downsampled tiers written by the retention job: { '5m': store, '1h': store }
+const rollups = {};
+// alert/event history with delivery outcomes (same partitioned layout, one file per device/day)
+let events;
+// outbound notifications waiting for a (re)try (outbox.json, failed ones in outbox-dead.json)
+let outbox;
 // initialize data base asynchronous function
 async function initDb() {
 
@@ -105,21 +163,147 @@ async function initDb() {
   // set file to data directory db.json
   const file = path.join(dataDir, 'db.json');
   // set db to Low object
-  db = new Low(new JSONFile(file), { readings: [] });
+  db = new Low(new JSONFile(file), { devices: {}, config: {} });
   await db.read();
   // Logical OR assignment with the following fields
-  db.data ||= { readings: [], devices: {}, config: {} };
+  db.data ||= { devices: {}, config: {} };
+
+  // key for signing acknowledgement links (ACK_SECRET wins; otherwise generated once)
+  if (!process.env.ACK_SECRET && !db.data.ack_secret) {
+    db.data.ack_secret = crypto.randomBytes(32).toString('base64url');
+    await db.write();
+  }
+
+  // open the readings store (per-device/per-day append-only files + index)
+  store = createReadingStore({ dir: dataDir });
+  await store.init();
+  // and the rollup tiers the retention job moves old readings into
+  for (const tier of TIERS) {
+    rollups[tier.label] = createReadingStore({ dir: dataDir, name: `rollups-${tier.label}` });
+    await rollups[tier.label].init();
+  }
+  events = createReadingStore({ dir: dataDir, name: 'events' });
+  await events.init();
+
+  // One-time migration: older versions kept every reading in db.data.readings
+  if (Array.isArray(db.data.readings)) {
+    const old = db.data.readings;
+    if (old.length) {
+      // keep a copy of the pre-migration file next to it, just in case
+      await fs.copyFile(file, path.join(dataDir, 'db.backup.json'));
+      // older records may lack ts_ms; derive it from ts
+      const recs = old.map(r => ({ ...r, ts_ms: r.ts_ms ?? Date.parse(r.ts) }));
+      // a crash after the append but before db.json is rewritten below would append them all
+      // again on the next start: skip whatever is already stored
+      const byDevice = new Map();
+      for (const r of recs) {
+        if (!byDevice.has(r.device_id)) byDevice.set(r.device_id, []);
+        byDevice.get(r.device_id).push(r);
+      }
+      const fresh = [];
+      for (const [id, mine] of byDevice) {
+        const from = mine.reduce((m, r) => Math.min(m, r.ts_ms), Infinity);
+        const to = mine.reduce((m, r) => Math.max(m, r.ts_ms), -Infinity);
+        const stored = new Set((await store.query(id, { from, to })).map(r => `${r.channel || ''}@${r.ts_ms}`));
+        for (const r of mine) if (!stored.has(`${r.channel || ''}@${r.ts_ms}`)) fresh.push(r);
+      }
+      await store.appendMany(fresh);
+      await store.flush();
+      console.log(`Migrated ${fresh.length} readings from db.json into ${path.join(dataDir, 'readings')} (backup: db.backup.json)${fresh.length < old.length ? `; ${old.length - fresh.length} were already there` : ''}`);
+    }
+    delete db.data.readings;
+    await db.write();
+  }
+
+  // queued notifications survive restarts; retries resume once the server is up
+  outbox = createOutbox({ file: path.join(dataDir, 'outbox.json'), send: sendToChannel, batchWindowMs });
+  await outbox.load();
+
+  // runtime state file (written on a debounce, see state.js)
+  stateFile = createStateFile({
+    file: path.join(dataDir, 'state.json'),
+    collect: () => ({ alerts: alerts.exportState(), alert_devices: alerts.exportDeviceState(), dedup: Object.fromEntries(last), quarantine: quarantine.exportState() }),
+  });
+}
+
+// Reload alert + dedup state and reconcile it against the newest stored reading per device,
+// then run a heartbeat pass right away so devices that went quiet while we were down are
+// reported offline now instead of never.
+async function restoreState() {
+  const saved = await stateFile.load();
+  if (saved) {
+    alerts.importState(saved.alerts, saved.alert_devices);
+    for (const [id, v] of Object.entries(saved.dedup || {})) last.set(id, v);
+    quarantine.importState(saved.quarantine);
+  }
+
+  for (const id of store.deviceIds()) {
+    // multi-probe devices are reconciled per channel
+    const byChannel = Object.values(store.latestByChannel(id));
+    const latests = byChannel.length ? byChannel : [store.latest(id)].filter(Boolean);
+    for (const latest of latests) {
+      // the store is authoritative for what was saved last
+      const key = stateKey(id, latest.channel);
+      const prev = last.get(key);
+      if (!prev || latest.ts_ms > (prev.lastSavedAt || 0)) {
+        last.set(key, {
+          lastSavedTemp: latest.temp_c,
+          lastSavedAt: latest.ts_ms,
+          lastSr: latest.sr,
+          lastSeenAt: Math.max(latest.ts_ms, prev?.lastSeenAt || 0),
+        });
+      }
+      alerts.reconcileDevice(id, latest);
+    }
+  }
+
+  console.log(`State: restored ${alerts.getStates().length} device(s)${saved ? ` from ${saved.saved_at}` : ' (no state.json yet)'}`);
+  alerts.checkHeartbeats();
+  await stateFile.save();
 }
 
-// initialize Database
-const ready = initDb();
+// initialize Database, then restore persisted state
+const ready = initDb().then(restoreState);
 
 // expose DB config to alerts/discord layers
 function getConfig() { return db?.data?.config || {}; }
 setConfigGetter(getConfig);
 
+// escalation chain for a device: its own chain if it has one (even empty), else the global one
+function escalationFor(id) {
+  const dev = db?.data?.devices?.[id];
+  if (dev && Array.isArray(dev.escalation)) return dev.escalation;
+  return getConfig().escalation || [];
+}
+setEscalationGetter(escalationFor);
+
+// signing key for emailed acknowledgement links
+function ackSecret() { return process.env.ACK_SECRET || db?.data?.ack_secret || ''; }
+setAckLinker(evt => ackLink(ackSecret(), evt));
+
+// snooze or maintenance window holding back a device's notifications -> { reason, until } | null
+function suppressionFor(id, now = Date.now()) {
+  const dev = db?.data?.devices?.[id];
+  if (!dev) return null;
+  const snoozedUntil = Date.parse(dev.snoozed_until || '');
+  if (snoozedUntil > now) return { reason: 'snooze', until: snoozedUntil };
+  const w = activeWindow(dev.maintenance, now);
+  if (w) return { reason: `maintenance window "${w.window.note || w.window.spec}"`, until: w.until };
+  return null;
+}
+setSuppressionGetter(suppressionFor);
+
+// History for a device across raw readings and rollups (older ranges come from rollups)
+function history(id, range) {
+  return readHistory({ raw: store, rollups }, id, range);
+}
+
+// Background retention: roll up + prune old readings (stores exist once initDb is done)
+ready.then(() => createRetentionJob({ raw: store, rollups, events }, getConfig).start());
+ready.then(() => outbox.start());
+
 // --- In-memory last-state, for ingest de-dup persistence ---
-/** device_id -> { lastSavedTemp, lastSavedAt, lastSr, lastSeenAt } */
+/** stateKey(device_id, channel) -> { lastSavedTemp, lastSavedAt, lastSr, lastSeenAt } */
 const last = new Map();
 
 // Small helper for /status
@@ -127,100 +311,242 @@ function statesSnapshot() {
   try { return alerts.getStates ? alerts.getStates() : []; } catch { return []; }
 }
 
-// Heartbeat offline checks
-setInterval(() => alerts.checkHeartbeats(), 60_000);
+// Heartbeat offline checks, escalation of unresolved excursions, end-of-maintenance summaries
+setInterval(() => {
+  alerts.checkHeartbeats();
+  alerts.checkEscalations();
+  alerts.checkMaintenance();
+  runScheduledDigest().catch(e => console.warn('Digest failed:', e?.message || e));
+}, 60_000);
+
+// persist alert state whenever the manager changes it
+alerts.setStateListener(() => stateFile?.scheduleSave());
 
-// Simple ingest auth (optional but cheap)
-function auth(req, _res, next) {
-  const k = req.get('X-API-Key') || '';
-  if (!API_KEY || k === API_KEY) return next();
+// event fields that are stored as columns (or must not be stored: escalation webhook URLs)
+const EVENT_BASE_FIELDS = ['kind', 'id', 'channel', 't', 'lower', 'upper', 'when', 'discord_webhook_url'];
+
+// persist every event the alert manager raises, with what happened to each delivery
+alerts.setEventListener((evt, deliveries, suppressed) => {
+  if (!events) return;
+  const now = Date.now();
+  const details = Object.fromEntries(Object.entries(evt).filter(([k, v]) => !EVENT_BASE_FIELDS.includes(k) && v !== undefined));
+  events.append({
+    ts: new Date(now).toISOString(),
+    ts_ms: now,
+    event_id: crypto.randomBytes(6).toString('hex'),
+    kind: evt.kind,
+    device_id: String(evt.id ?? ''),
+    ...(evt.channel ? { channel: evt.channel } : {}),
+    temp_c: typeof evt.t === 'number' ? evt.t : undefined,
+    lower: evt.lower,
+    upper: evt.upper,
+    event_at: evt.when,
+    ...(Object.keys(details).length ? { details } : {}),
+    deliveries,
+    ...(suppressed ? { suppressed } : {}),
+  }).catch(e => console.warn('Event history write failed:', e?.message || e));
+});
+
+// Rejected/suspicious ingest payloads (see quarantine.js); persisted in state.json.
+// A burst of rejections from one device raises a "rejects" event unless switched off
+// with quarantine_alerts_enabled=false in /config.
+const quarantine = createQuarantine({
+  onChange: () => stateFile?.scheduleSave(),
+  onSpike: ({ device_id, count, windowMin, lastReason }) => {
+    if (getConfig().quarantine_alerts_enabled === false) return;
+    alerts.notify({ kind: 'rejects', id: device_id, count, windowMin, reason: lastReason });
+  },
+});
+
+// Ingest auth: per-device secrets (db.data.credentials) first, then the shared API_KEY.
+// Returns { deviceId } | { global: true } | { open: true }, or null if the key is refused;
+// which device_id a caller may post as is checked per reading with canPostAs().
+function resolveIngestAuth(k) {
+  // a device secret identifies exactly one device
+  const deviceId = findDeviceForKey(db.data.credentials, k);
+  if (deviceId) return { deviceId };
+  // shared key, unless an admin has switched the migration fallback off
+  if (API_KEY && k === API_KEY && globalKeyEnabled()) return { global: true };
+  // no shared key configured: legacy open mode (provisioned devices still need their secret)
+  if (!API_KEY) return { open: true };
+  return null;
+}
+
+// HTTP ingest auth middleware (X-API-Key header)
+async function auth(req, _res, next) {
+  await ready;
+  req.ingestAuth = resolveIngestAuth(req.get('X-API-Key') || '');
+  if (req.ingestAuth) return next();
   return next({ status: 403, message: 'forbidden' });
 }
 
-// Discord notifier (respects runtime config + alerts_enabled)
-async function notifyDiscord(evt) {
+// shared API_KEY fallback is on unless /config says otherwise
+function globalKeyEnabled() {
   const cfg = getConfig();
+  return cfg.global_api_key_enabled !== undefined ? !!cfg.global_api_key_enabled : true;
+}
 
-  // Respect the global enable switch
-  if (!cfg.alerts_enabled) return;
-  if (!cfg.discord_enabled) return;
+// may this authenticated request post a reading for device_id?
+function canPostAs(ingestAuth, device_id) {
+  if (!ingestAuth) return false;
+  // device secrets are bound to their own device_id
+  if (ingestAuth.deviceId) return ingestAuth.deviceId === String(device_id);
+  // the shared key (and open mode) only for devices that haven't been provisioned yet:
+  // a leaked shared key must not be able to fake readings for a device with its own secret,
+  // and a revoked device stays locked (its tombstone) until a new secret is issued
+  return !db.data.credentials?.[device_id];
+}
 
-  // set target webhook 
-  const targetWebhook = cfg.discord_webhook_url || DISCORD_WEBHOOK_URL;
-  if (!targetWebhook) return; // skip if not configured
+// Notification channels: the built-in "email" and "discord" instances come from the original
+// settings (alert_to_email, discord_webhook_url, …), the rest from notify_channels (channels.js).
+// route (routing.js) supplies the device's recipients/webhook and per-channel on/off switches.
+function notifyChannelsFor(cfg, route = resolveRouting(cfg)) {
+  const channels = [
+    {
+      id: 'email', type: 'email', name: 'Email',
+      enabled: cfg.email_enabled !== undefined ? !!cfg.email_enabled : true,
+      to: route.alert_to_email || process.env.ALERT_TO_EMAIL || '',
+      from: cfg.alert_from_email || '',
+    },
+    {
+      id: 'discord', type: 'discord', name: 'Discord',
+      enabled: !!cfg.discord_enabled,
+      webhook_url: route.discord_webhook_url || DISCORD_WEBHOOK_URL,
+      thread_id: route.discord_thread_id || DISCORD_THREAD_ID,
+      username: DISCORD_USERNAME,
+      avatar_url: DISCORD_AVATAR_URL,
+      min_gap_sec: Number(cfg.discord_min_gap_sec ?? DISCORD_MIN_SECONDS_BETWEEN_POSTS),
+    },
+    ...(cfg.notify_channels || []),
+  ];
+  return channels
+    .map(ch => (route.notify?.[ch.id] !== undefined ? { ...ch, enabled: route.notify[ch.id] } : ch))
+    // every email channel fails over through the configured provider order
+    .map(ch => (ch.type === 'email' && cfg.email_providers ? { ...ch, providers: cfg.email_providers } : ch));
+}
 
-  // set kind to evt.kind field or alert
-  // set rawId to evt.id field or esp32
-  const kind = evt.kind || 'alert';
-  const rawId = evt.id || 'ESP32';
+// routing for a device's notifications: device override -> its group -> global config
+function routingFor(id) {
+  const dev = db?.data?.devices?.[id];
+  const group = dev?.group ? db.data.groups?.[dev.group] : undefined;
+  return resolveRouting(getConfig(), group, dev);
+}
+
+// recipients set on the device or its group (they win over the on-call schedule)
+function ownRecipients(id) {
+  const dev = db?.data?.devices?.[id];
+  const group = dev?.group ? db.data.groups?.[dev.group] : undefined;
+  return resolveRouting({}, group, dev).alert_to_email || '';
+}
 
-  // ?. optional chaining, checks if left variable exists
-  // if not check right, and if not right check right right or leave empty
+// "Name (DEV1) · top shelf" for chat messages
+function deviceLabel(evt) {
+  const rawId = evt.id || 'ESP32';
   const name = (db?.data?.devices && db.data.devices[rawId]?.name) || '';
-  // set deviceId to name and rawId if name exist else set to rawId
-  const deviceId = name ? `${name} (${rawId})` : rawId;
+  // probe channels are grouped under their physical device
+  const channelLabel = evt.channel ? (evt.channelName || evt.channel) : '';
+  return (name ? `${name} (${rawId})` : rawId) + (channelLabel ? ` · ${channelLabel}` : '');
+}
 
-  // set temperature in Celsius to evt.t if evt.t is the same datatype and value else leave as undefined
-  const tempC = typeof evt.t === 'number' ? evt.t : undefined;
+// How long the outbox holds a message to merge it with others for the same destination.
+// Critical events (offline included) always go straight out, and so do prebuilt messages (digest).
+function batchWindowMs(msg, ch) {
+  if (!canBatch(ch) || msg.payload) return 0;
+  if (msg.severity === 'critical') return 0;
+  const sec = getConfig().coalesce_sec ?? COALESCE_SEC;
+  return Math.max(0, Number(sec) || 0) * 1000;
+}
 
-  // null coalescing statement -> checks if NULL then move onto ternary statement
-  const lower = (evt.lower ?? (typeof cfg.lowerC === 'number' ? cfg.lowerC : LOWER));
-  const upper = (evt.upper ?? (typeof cfg.upperC === 'number' ? cfg.upperC : UPPER));
+// admin page / last day of CSV for an event's device, or null without PUBLIC_URL
+function emailLinksFor(evt) {
+  if (!PUBLIC_URL || !evt.id) return null;
+  const q = new URLSearchParams({ device_id: evt.id, ...(evt.channel ? { channel: evt.channel } : {}), from: new Date(Date.now() - 24 * 3600 * 1000).toISOString() });
+  return { admin: `${PUBLIC_URL}/admin`, csv: `${PUBLIC_URL}/export.csv?${q}` };
+}
 
-  // set whenIso to evt.when ORed with the new date
-  const whenIso = evt.when || new Date().toISOString();
-  
-  // minGapSec is set to number and checks if cfg field is null then set to defined variable
-  const minGapSec = Number(cfg.discord_min_gap_sec ?? DISCORD_MIN_SECONDS_BETWEEN_POSTS);
-  const threadId = cfg.discord_thread_id || DISCORD_THREAD_ID;
-
-  // instantiate status, and use kind, as a case statement
-  // we define the status as the associated kind of notification
-  let status;
-  switch (kind) {
-    case 'recover':  status = '✅ Recovered (back in range)'; break;
-    case 'offline':  status = '❌ Offline'; break;
-    case 'online':   status = '🟢 Online'; break;
-    case 'fault':    status = '⚠️ Sensor Fault'; break;
-    case 'heartbeat':status = 'ℹ️ Heartbeat'; break;
-    case 'alert':
-    default:         status = '🚨 Out of Range'; break;
-  }
-
-  // we are creating a buildFreezerEmbed object
-  // with the following fields
-  const embeds = buildFreezerEmbed({
-    deviceId,
-    tempC,
-    bounds: `${lower}…${upper} °C`,
-    status,
-    whenIso,
-    url: evt.url
+// HTML card for the alert email: device name/notes, bounds, a chart of the last
+// EMAIL_CHART_HOURS of stored readings, and the message's links
+async function emailCardFor(msg) {
+  const { evt } = msg;
+  const to = Date.now();
+  const from = to - EMAIL_CHART_HOURS * 3600 * 1000;
+  const rows = evt.id ? (await store.query(evt.id, { from, to })).filter(r => (r.channel || undefined) === (evt.channel || undefined)) : [];
+  return eventCard({
+    msg,
+    title: headline(evt),
+    color: hex(colorOf(evt)),
+    device: db.data.devices?.[evt.id],
+    bounds: boundsFor(evt.id, evt.channel),
+    rows,
+    from,
+    to,
+    // same rule as the digest: unchanged readings are only stored every KEEPALIVE_MS
+    gapMs: Math.max(OFFLINE_AFTER_MS, KEEPALIVE_MS * 1.5),
+    links: msg.links || {},
   });
+}
 
-  // set response to wait for post to discord
-  const res = await postToDiscord(
-    // set status 
-    `${status}: **${deviceId}**${typeof tempC === 'number' ? ` at ${tempC}°C` : ''}`,
-    embeds,
-    {
-      // set populated fields to ORed with undefined or following parameters
-      username: DISCORD_USERNAME || undefined,
-      avatar_url: DISCORD_AVATAR_URL || undefined,
-      thread_id: threadId || undefined,
-      webhook_url: targetWebhook,
-      min_gap_sec: minGapSec
-    }
-  );
+// Notifier: fan a message out to every channel (respects runtime config + alerts_enabled)
+// Returns one delivery outcome per channel for the event history. Deliveries go through the
+// outbox: a failed one comes back as queued and is retried from there.
+async function notifyChannels(msg) {
+  const cfg = getConfig();
+  const route = routingFor(msg.evt.id);
+  let channels = notifyChannelsFor(cfg, route);
 
-  // checks if response ok field and response skipped is false
-  if (!res.ok && !res.skipped) {
-    // if it is issue a failure warning
-    console.warn("Discord post failed:", res);
+  // Respect the global enable switch
+  if (!cfg.alerts_enabled) return channels.map(ch => ({ via: ch.id, ok: false, skipped: true, reason: 'alerts disabled in config' }));
+
+  // escalation levels name their own recipients / webhook, which replace the device's email
+  // list / Discord webhook for that message; recoveries after them also go to those levels
+  channels = channels.map(ch => {
+    if (ch.id === 'email' && msg.to) return { ...ch, to: msg.to.join(',') };
+    if (ch.id === 'email' && msg.cc) return { ...ch, to: [...new Set([...parseRecipients(ch.to), ...msg.cc])].join(',') };
+    if (ch.id === 'discord' && msg.evt.discord_webhook_url) return { ...ch, webhook_url: msg.evt.discord_webhook_url };
+    return ch;
+  });
+  // warnings / critical alerts only go to the channels listed for their severity
+  const only = route.severity_channels[msg.severity];
+  if (only) {
+    channels = channels.map(ch => (only.includes(ch.id) ? ch : { ...ch, skip: `not routed for ${msg.severity}` }));
+  }
+  // on-call schedule: the email goes to whoever is on call instead of alert_to_email (unless the
+  // device / group / escalation level names recipients, or nobody is on call). People in their
+  // quiet hours get non-critical events when those end, as one batch per person and morning
+  // (only when the email channel is enabled and routed for the event's severity).
+  const held = [];
+  if (!msg.to && hasSchedule(db.data.oncall) && !ownRecipients(msg.evt.id)) {
+    const oc = recipientsFor(db.data.oncall, { severity: msg.severity });
+    if (oc.now.length || oc.later.length) {
+      channels = channels.map(ch => {
+        if (ch.id !== 'email' || skipReason(ch)) return ch;
+        for (const l of oc.later) held.push({ ch: { ...ch, to: l.to.join(',') }, until: l.until, names: l.names });
+        const to = [...new Set([...oc.now, ...(msg.cc || [])])];
+        return to.length ? { ...ch, to: to.join(',') } : { ...ch, skip: 'everyone on call is in quiet hours' };
+      });
+    }
   }
+  const full = { ...msg, device: deviceLabel(msg.evt) };
+  // rendered once, only when an email is actually going out, and only queued with email jobs
+  // (the card with its chart is the bulk of a message; webhooks never use it)
+  let mail = full;
+  if ([...channels, ...held.map(h => h.ch)].some(ch => ch.type === 'email' && !skipReason(ch))) {
+    const links = emailLinksFor(msg.evt);
+    if (links) full.links = links;
+    try { mail = { ...full, html_card: await emailCardFor(full) }; } catch (e) { console.warn('Email HTML failed, sending text only:', e?.message || e); }
+  }
+  const msgFor = ch => (ch.type === 'email' ? mail : full);
+  return Promise.all([
+    ...channels.map(ch => {
+      const why = skipReason(ch);
+      return why ? { via: ch.id, ok: false, skipped: true, reason: why } : outbox.submit(msgFor(ch), ch);
+    }),
+    ...held.filter(h => !skipReason(h.ch)).map(h =>
+      outbox.submit(msgFor(h.ch), h.ch, { notBefore: h.until, reason: `quiet hours of ${h.names.join(', ')} until ${new Date(h.until).toTimeString().slice(0, 5)}` })),
+  ]);
 }
 // set Notifier
-alerts.setNotifier(notifyDiscord);
+alerts.setNotifier(notifyChannels);
 
 // Routes
 // get the health route and set an asynchronous 
@@ -229,14 +555,31 @@ app.get('/health', async (_req, res) => {
   // populate response json file fields
   res.json({
     ok: true,
-    readings: db.data.readings.length,
+    readings: store.count(),
     // set device to object key field if db.data.devices isn't falsy, ||{} protects if falsy
     // falsy is false, 0, 0n, NaN, undefined, "", and null
     devices: Object.keys(db.data.devices || {}).length,
-    env: { LOWER, UPPER, DEDUP_DELTA_C, KEEPALIVE_MS }
+    env: { LOWER, UPPER, DEDUP_DELTA_C, KEEPALIVE_MS },
+    retention: policyFrom(getConfig()),
   });
 });
 
+// Parse optional ?from=&to= (anything Date understands); returns null if either is invalid
+function parseRange(query) {
+  // set fromIso to new date object or null depending if request query field exists
+  const fromIso = query.from ? new Date(query.from) : null;
+  const toIso   = query.to   ? new Date(query.to)   : null;
+
+  // if statement that checks fromIso ANDed to check for NaN and get time ORed with toIso ANDed with gettime
+  if ((fromIso && Number.isNaN(fromIso.getTime())) || (toIso && Number.isNaN(toIso.getTime()))) {
+    return null;
+  }
+  return { from: fromIso, to: toIso };
+}
+
+// most rows one CSV export may hold
+const CSV_MAX_ROWS = 200000;
+
 // This registers a route in express
 app.get('/export.csv', adminAuth, async (req, res) => {
   
@@ -246,37 +589,148 @@ app.get('/export.csv', adminAuth, async (req, res) => {
   // check id if it's false to return a status for id required
   if (!id) return res.status(400).send('device_id required');
 
-  // set fromIso to new date object or null depending if request query field exists
-  const fromIso = req.query.from ? new Date(req.query.from) : null;
-  const toIso   = req.query.to   ? new Date(req.query.to)   : null;
-  
-  // if statement that checks fromIso ANDed to check for NaN and get time ORed with toIso ANDed with gettime
-  if ((fromIso && Number.isNaN(fromIso.getTime())) || (toIso && Number.isNaN(toIso.getTime()))) {
-    return res.status(400).send('invalid from/to');
-  }
+  // shared from/to validation
+  const range = parseRange(req.query);
+  if (!range) return res.status(400).send('invalid from/to');
+  const { from: fromIso, to: toIso } = range;
 
-  // sets rows to be database readings filtered for r.device_id to check id to be equal in value and data type
-  // ANDed to check if fromIso is false and ORed with new date
-  const rows = db.data.readings.filter(r => r.device_id === id && (
-    (!fromIso || new Date(r.ts) >= fromIso) &&
-    (!toIso   || new Date(r.ts) <= toIso)
-  ));
+  // sets rows to this device's history; ranges past raw retention come from the rollups
+  // optional ?channel= keeps one probe of a multi-probe device
+  const channel = req.query.channel ? String(req.query.channel) : null;
+  // reading stops once there are more rows than an export may hold
+  const rows = await history(id, { from: fromIso, to: toIso, channel, max: CSV_MAX_ROWS });
 
-  // checks rows length field is greater than 200000 and returns response status error
-  if (rows.length > 200000) return res.status(413).send('too many rows; narrow your time range');
+  // checks rows length field is greater than CSV_MAX_ROWS and returns response status error
+  if (rows.length > CSV_MAX_ROWS) return res.status(413).send('too many rows; narrow your time range');
 
   // response set header
   res.setHeader('Content-Type','text/csv; charset=utf-8');
   res.setHeader('Content-Disposition', `attachment; filename="${id}.csv"`);
 
   // response write temperature and details
-  res.write('ts,ts_ms,temp_c,sr,device_id\n');
+  // rollup rows carry min/max/count/bucket (temp_c is the bucket average); raw rows leave them blank
+  // channel is blank for single-probe devices
+  res.write('ts,ts_ms,temp_c,sr,device_id,min_c,max_c,count,bucket,channel\n');
   // for loop iterating through rows using r
   // to write r.ts_ms 
-  for (const r of rows) res.write(`${r.ts},${r.ts_ms ?? ''},${r.temp_c},${r.sr},${r.device_id}\n`);
+  for (const r of rows) res.write(`${r.ts},${r.ts_ms ?? ''},${r.temp_c},${r.sr},${r.device_id},${r.min_c ?? ''},${r.max_c ?? ''},${r.count ?? ''},${r.bucket ?? ''},${r.channel ?? ''}\n`);
   res.end();
 });
 
+// --- JSON time-series query API ---
+// GET /devices/:id/readings?from=&to=&bucket=5m&agg=min,max,avg&limit=&channel=
+// GET /readings?device_id=A,B&from=&to=&bucket=1h&agg=avg
+// Without bucket the raw rows come back; with bucket they are aggregated server-side (from and
+// to are required then, and a range with more buckets than the limit is refused before reading).
+const QUERY_MAX_POINTS = Number(process.env.QUERY_MAX_POINTS ?? 5000);
+const QUERY_MAX_DEVICES = Number(process.env.QUERY_MAX_DEVICES ?? 20);
+const QUERY_AGGS = ['min', 'max', 'avg', 'count'];
+
+// validate from/to/bucket/agg/limit once for both routes; returns { error, status? } on bad input
+function parseSeriesQuery(query) {
+  const range = parseRange(query);
+  if (!range) return { error: 'invalid from/to' };
+
+  let bucketMs = null;
+  if (query.bucket) {
+    bucketMs = parseBucket(query.bucket);
+    if (!bucketMs) return { error: 'invalid bucket (use e.g. 30s, 5m, 1h, 1d)' };
+  }
+
+  const agg = query.agg ? String(query.agg).split(',').map(a => a.trim()).filter(Boolean) : ['min', 'max', 'avg'];
+  if (agg.some(a => !QUERY_AGGS.includes(a))) return { error: `agg must be a subset of ${QUERY_AGGS.join(',')}` };
+
+  let limit = QUERY_MAX_POINTS;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > QUERY_MAX_POINTS) {
+      return { error: `limit must be 1..${QUERY_MAX_POINTS}` };
+    }
+  }
+  if (bucketMs) {
+    // aggregating reads every row in the range, so the range must be bounded and its bucket
+    // count (buckets start on multiples of bucketMs) already within the limit
+    if (!range.from || !range.to) return { error: 'from and to are required with bucket' };
+    const buckets = Math.floor(range.to / bucketMs) - Math.floor(range.from / bucketMs) + 1;
+    if (buckets > limit) return { status: 413, error: `${buckets} buckets is more than ${limit} points; use a coarser bucket or narrow from/to` };
+  }
+  // optional probe filter for multi-probe devices
+  const channel = query.channel ? String(query.channel) : null;
+  return { ...range, bucket: query.bucket || null, bucketMs, agg, limit, channel };
+}
+
+// one device's points for a parsed query. Without a bucket every row is a point, so reading
+// stops once more than `max` rows came back (the caller then answers 413 without the rest).
+async function seriesFor(id, q, max = Infinity) {
+  // (bucketed ranges were bounded by parseSeriesQuery)
+  const rows = await history(id, { from: q.from, to: q.to, channel: q.channel, max: q.bucketMs ? Infinity : max });
+  // multi-probe points say which channel they belong to
+  const ch = r => (r.channel ? { channel: r.channel } : {});
+  if (!q.bucketMs) {
+    return rows.map(r => (r.bucket
+      // older ranges may come from rollups even when no bucket was asked for
+      ? { ts: r.ts, ...ch(r), temp_c: r.temp_c, sr: r.sr, min: r.min_c, max: r.max_c, count: r.count, bucket: r.bucket }
+      : { ts: r.ts, ...ch(r), temp_c: r.temp_c, sr: r.sr }));
+  }
+  return rollupRows(rows, q.bucketMs, q.bucket).map(b => {
+    const p = { ts: b.ts, ...ch(b) };
+    if (q.agg.includes('min')) p.min = b.min_c;
+    if (q.agg.includes('max')) p.max = b.max_c;
+    if (q.agg.includes('avg')) p.avg = b.temp_c;
+    if (q.agg.includes('count')) p.count = b.count;
+    p.sr = b.sr;
+    return p;
+  });
+}
+
+// run a query for several devices, enforcing the point cap across all of them
+async function runSeriesQuery(ids, q, res) {
+  const series = [];
+  let total = 0;
+  for (const id of ids) {
+    const points = await seriesFor(id, q, q.limit - total);
+    total += points.length;
+    if (total > q.limit) {
+      res.status(413).json({ error: `more than ${q.limit} points; use a coarser bucket or narrow from/to` });
+      return null;
+    }
+    series.push({ device_id: id, points });
+  }
+  return {
+    from: q.from ? q.from.toISOString() : null,
+    to: q.to ? q.to.toISOString() : null,
+    bucket: q.bucket,
+    agg: q.bucketMs ? q.agg : null,
+    series,
+  };
+}
+
+// single device
+app.get('/devices/:id/readings', adminAuth, async (req, res) => {
+  await ready;
+  const q = parseSeriesQuery(req.query);
+  if (q.error) return res.status(q.status || 400).json({ error: q.error });
+  const out = await runSeriesQuery([req.params.id], q, res);
+  if (!out) return;
+  const { series, ...meta } = out;
+  res.json({ device_id: req.params.id, ...meta, points: series[0].points });
+});
+
+// several devices in one call (?device_id=A,B or repeated ?device_id=)
+app.get('/readings', adminAuth, async (req, res) => {
+  await ready;
+  const ids = [...new Set([].concat(req.query.device_id || [])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean))];
+  if (ids.length === 0) return res.status(400).json({ error: 'device_id required' });
+  if (ids.length > QUERY_MAX_DEVICES) return res.status(400).json({ error: `at most ${QUERY_MAX_DEVICES} devices per call` });
+  const q = parseSeriesQuery(req.query);
+  if (q.error) return res.status(q.status || 400).json({ error: q.error });
+  const out = await runSeriesQuery(ids, q, res);
+  if (out) res.json(out);
+});
+
 // get status and req, response to populate json file
 app.get('/status', adminAuth, (_req, res) => {
   res.json({ devices: statesSnapshot() });
@@ -293,76 +747,406 @@ app.post('/devices/:id/reset', adminAuth, async (req, res) => {
   res.json({ ok: true, id });
 });
 
-// Ingest endpoint
-app.post('/ingest', auth, async (req, res) => {
-  // checks if incoming HTTP request is JSON
-  // if request is NOT JSON the server rejects it with 415 error
-  if ((req.get('content-type') || '').indexOf('application/json') !== 0) {
-    return res.status(415).json({ error: 'application/json required' });
-  }
+// --- Maintenance windows and snooze (readings are stored, notifications held back) ---
+// GET /devices/:id/maintenance -> { windows, snoozed_until, active }
+app.get('/devices/:id/maintenance', adminAuth, async (req, res) => {
   await ready;
+  const dev = db.data.devices?.[req.params.id] || {};
+  res.json({ windows: dev.maintenance || [], snoozed_until: dev.snoozed_until || null, active: suppressionFor(req.params.id) });
+});
 
-  // sets id, tempc, sr, and ts_ms to request body field or empty
-  const { device_id, temp_c, sr, ts_ms } = req.body || {};
-  // if device id false ORed with type of temp_C not equal to value and datatype
-  if (!device_id || typeof temp_c !== 'number') {
-    return res.status(400).json({ error: 'device_id and temp_c required' });
-  }
+// Add a window: { spec: "first monday 09:00-12:00", note? } (see maintenance.js for the formats)
+app.post('/devices/:id/maintenance', adminAuth, async (req, res) => {
+  await ready;
+  const { spec, note } = req.body || {};
+  const parsed = parseWindow(spec, note);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  db.data.devices ||= {};
+  const dev = db.data.devices[req.params.id] ||= {};
+  // finished one-off windows are dropped whenever the list changes
+  dev.maintenance = [...(dev.maintenance || []).filter(w => !expired(w)), parsed.window];
+  await db.write();
+  res.json({ ok: true, window: parsed.window, windows: dev.maintenance });
+});
+
+app.delete('/devices/:id/maintenance/:wid', adminAuth, async (req, res) => {
+  await ready;
+  const dev = db.data.devices?.[req.params.id];
+  const before = dev?.maintenance?.length || 0;
+  if (dev?.maintenance) dev.maintenance = dev.maintenance.filter(w => w.id !== req.params.wid);
+  if ((dev?.maintenance?.length || 0) === before) return res.status(404).json({ error: 'no such window' });
+  await db.write();
+  res.json({ ok: true, windows: dev.maintenance });
+});
+
+// Snooze for { hours } (0 ends it early)
+app.post('/devices/:id/snooze', adminAuth, async (req, res) => {
+  await ready;
+  const hours = Number(req.body?.hours);
+  if (!Number.isFinite(hours) || hours < 0 || hours > 720) return res.status(400).json({ error: 'hours must be 0..720' });
+  db.data.devices ||= {};
+  const dev = db.data.devices[req.params.id] ||= {};
+  if (hours === 0) delete dev.snoozed_until;
+  else dev.snoozed_until = new Date(Date.now() + hours * 3600 * 1000).toISOString();
+  await db.write();
+  console.log(`snooze [${req.params.id}] ${hours ? `until ${dev.snoozed_until}` : 'cleared'}`);
+  res.json({ ok: true, snoozed_until: dev.snoozed_until || null });
+});
+
+// --- Acknowledgement ("I'm on it") ---
+// Admin: POST /devices/:id/ack { channel?, by, note? }
+app.post('/devices/:id/ack', adminAuth, async (req, res) => {
+  await ready;
+  const { channel, by, note } = req.body || {};
+  if (!by || !String(by).trim()) return res.status(400).json({ error: 'by (who is acknowledging) required' });
+  const out = alerts.acknowledge(req.params.id, channel ? String(channel) : undefined, { by: String(by).trim(), note, via: 'admin' });
+  if (out.error) return res.status(out.code || 400).json({ error: out.error });
+  if (!out.already) console.log(`ack [${req.params.id}${channel ? `/${channel}` : ''}] by ${out.ack.by} (admin)`);
+  res.json(out);
+});
+
+// Emailed one-click link. GET only shows a confirmation page: mail scanners and link
+// previews fetch URLs on their own, and must not acknowledge anything by doing so.
+app.get('/ack', async (req, res) => {
+  await ready;
+  const link = verifyAck(ackSecret(), req.query);
+  res.set('Cache-Control', 'no-store');
+  if (link.error) return res.status(403).type('html').send(`<!doctype html><meta charset="utf-8"><title>Acknowledge</title><p>This link can't be used: ${link.error}.</p>`);
+  const label = `${escHtml(link.id)}${link.channel ? ` · ${escHtml(link.channel)}` : ''}`;
+  const hidden = ['d', 'c', 's', 'exp', 'sig']
+    .filter(k => req.query[k] !== undefined)
+    .map(k => `<input type="hidden" name="${k}" value="${escHtml(req.query[k])}">`).join('');
+  res.type('html').send(`<!doctype html><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Acknowledge ${label}</title>
+<style>body{font-family:system-ui,Segoe UI,Roboto;margin:24px} input,button{padding:.5rem .7rem;font:inherit;margin:4px 0}</style>
+<h1>Acknowledge ${label}</h1>
+<p>Repeat alerts and escalation pause until it recovers or gets worse.</p>
+<form method="post" action="/ack">
+  ${hidden}
+  <label>Your name<br><input name="by" required autofocus></label><br>
+  <label>Note (optional)<br><input name="note" placeholder="on my way"></label><br>
+  <button>I'm on it</button>
+</form>`);
+});
 
-  // Drop obviously bad readings
-  if (!Number.isFinite(temp_c) || temp_c < -200 || temp_c > 1200) {
-    // logs and returns status 200
-    console.warn(`bad reading from ${device_id}: temp_c=${temp_c}`);
-    return res.sendStatus(200);
+app.post('/ack', express.urlencoded({ extended: false, limit: '8kb' }), async (req, res) => {
+  await ready;
+  const body = req.body || {};
+  const link = verifyAck(ackSecret(), body);
+  const page = (msg, code = 200) => res.status(code).type('html').send(`<!doctype html><meta charset="utf-8"><title>Acknowledge</title><p>${msg}</p>`);
+  if (link.error) return page(`This link can't be used: ${link.error}.`, 403);
+  if (!body.by || !String(body.by).trim()) return page('Please enter your name.', 400);
+  const out = alerts.acknowledge(link.id, link.channel, { by: String(body.by).trim(), note: body.note, via: 'email', since: link.since });
+  if (out.error) return page(escHtml(out.error), out.code || 400);
+  if (!out.already) console.log(`ack [${link.id}${link.channel ? `/${link.channel}` : ''}] by ${out.ack.by} (email link)`);
+  page(out.already
+    ? `Already acknowledged by ${escHtml(out.ack.by)} at ${escHtml(out.ack.at)}.`
+    : `Acknowledged. Thanks, ${escHtml(out.ack.by)}.`);
+});
+
+// minimal HTML escaping for server-rendered pages
+function escHtml(v) {
+  return String(v ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// --- Per-device ingest credentials ---
+// Issue (or rotate) a device secret. The plain secret is only ever returned here.
+app.post('/devices/:id/credentials', adminAuth, async (req, res) => {
+  await ready;
+  const id = req.params.id;
+  db.data.credentials ||= {};
+  const prev = db.data.credentials[id];
+  // a revoked secret isn't rotated, just replaced
+  const rotated = !!prev && !prev.revoked_at;
+  const secret = generateSecret();
+  db.data.credentials[id] = credentialRecord(secret, rotated ? prev : undefined);
+  await db.write();
+  console.log(`credential ${rotated ? 'rotated' : 'issued'} for ${id} (…${db.data.credentials[id].hint})`);
+  res.json({ ok: true, id, secret, rotated, credential: publicCredential(db.data.credentials[id]) });
+});
+
+// Revoke a device secret. Its record is kept as a tombstone: the device can't post at all
+// (not even with the shared key or in open mode) until a new secret is issued.
+app.delete('/devices/:id/credentials', adminAuth, async (req, res) => {
+  await ready;
+  const id = req.params.id;
+  const prev = db.data.credentials?.[id];
+  if (!prev || prev.revoked_at) return res.status(404).json({ error: 'no credential for device' });
+  db.data.credentials[id] = revokedRecord(prev);
+  await db.write();
+  console.log(`credential revoked for ${id}`);
+  res.json({ ok: true, id });
+});
+
+// --- Event history ---
+// GET /events?device_id=A,B&kind=alert,fault&result=ok|skipped|failed|queued|batched|held|suppressed&from=&to=&limit=
+// Newest first; without from/to the last EVENTS_DEFAULT_DAYS days are searched.
+const EVENTS_DEFAULT_DAYS = 7;
+app.get('/events', adminAuth, async (req, res) => {
+  await ready;
+  const range = parseRange(req.query);
+  if (!range) return res.status(400).json({ error: 'invalid from/to' });
+  const from = range.from ? range.from.getTime() : Date.now() - EVENTS_DEFAULT_DAYS * 86400 * 1000;
+  const to = range.to ? range.to.getTime() : Date.now();
+  const list = v => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+  const ids = list(req.query.device_id);
+  const kinds = list(req.query.kind);
+  const result = String(req.query.result || '');
+  if (result && !['ok', 'skipped', 'failed', 'queued', 'batched', 'held', 'suppressed'].includes(result)) {
+    return res.status(400).json({ error: 'result must be ok, skipped, failed, queued, batched, held or suppressed' });
   }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 2000);
+
+  let rows = [];
+  for (const id of (ids.length ? ids : events.deviceIds())) rows.push(...await events.query(id, { from, to }));
+  rows = rows.filter(e =>
+    (!kinds.length || kinds.includes(e.kind)) &&
+    (!req.query.channel || e.channel === req.query.channel) &&
+    (!result || (result === 'suppressed' ? !!e.suppressed : e.deliveries.some(d => d.result === result))));
+  rows.sort((a, b) => b.ts_ms - a.ts_ms);
+  res.json({ from: new Date(from).toISOString(), to: new Date(to).toISOString(), total: rows.length, events: rows.slice(0, limit) });
+});
 
-  // set clientTs to the number 64 bit of ts_ms
-  const clientTs = Number(ts_ms);
-  // set now as the time now
+// --- Outbox (queued / failed notifications) ---
+// GET /outbox -> { pending: [...], dead: [...] } (no channel secrets or message bodies)
+app.get('/outbox', adminAuth, async (_req, res) => {
+  await ready;
+  res.json(outbox.list());
+});
+
+// Retry every dead delivery (the outbox sends them in the background)
+app.post('/outbox/retry', adminAuth, async (_req, res) => {
+  await ready;
+  res.json({ ok: true, requeued: await outbox.retryAll() });
+});
+
+// Retry one pending or dead delivery now -> the attempt's outcome
+app.post('/outbox/:id/retry', adminAuth, async (req, res) => {
+  await ready;
+  const r = await outbox.retry(req.params.id);
+  if (!r) return res.status(404).json({ error: 'no such delivery' });
+  res.json(r);
+});
+
+// Drop a delivery from the queue or the dead-letter list
+app.delete('/outbox/:id', adminAuth, async (req, res) => {
+  await ready;
+  const r = await outbox.drop(req.params.id);
+  if (!r) return res.status(404).json({ error: 'no such delivery' });
+  if (r.sending) return res.status(409).json({ error: 'delivery in progress' });
+  res.json({ ok: true });
+});
+
+// --- Digest reports ---
+// Daily / weekly summary per freezer (digest.js), sent by email to digest_to (default: the
+// alert recipients) and, with digest_discord on, to the Discord webhook.
+async function makeDigest(period, now = Date.now()) {
+  await ready;
+  const cfg = getConfig();
+  const ids = new Set(store.deviceIds());
+  Object.keys(db.data.devices || {}).forEach(id => ids.add(id));
+  // provisioned devices that never reported count too; revoked tombstones don't
+  Object.entries(db.data.credentials || {}).filter(([, c]) => !c.revoked_at).forEach(([id]) => ids.add(id));
+  const names = Object.fromEntries(Object.entries(db.data.devices || {}).filter(([, d]) => d?.name).map(([id, d]) => [id, d.name]));
+  return buildDigest({
+    period,
+    now,
+    ids: [...ids],
+    query: (id, range) => store.query(id, range),
+    boundsFor,
+    states: statesSnapshot(),
+    names,
+    // unchanged readings are only stored every KEEPALIVE_MS, so shorter gaps aren't outages
+    offlineAfterMs: Math.max(OFFLINE_AFTER_MS, KEEPALIVE_MS * 1.5),
+    hasFault: (id, r) => decodeSr(r.sr, db.data.devices?.[id]?.sensor_type, cfg.sr_maps).faults.length > 0,
+  });
+}
+
+// build and deliver one digest through the outbox (so a provider outage at the scheduled time
+// is retried like any notification); returns { digest, deliveries }
+async function sendDigest(period) {
+  const cfg = getConfig();
+  const d = await makeDigest(period);
+  const title = `${period === 'weekly' ? 'Weekly' : 'Daily'} freezer digest`;
+  const subject = `${title}: ${d.devices.length} probe(s), ${d.devices.reduce((n, r) => n + r.excursions, 0)} excursion(s), ${d.silent.length} not reporting`;
+  const msg = {
+    evt: { kind: 'digest', id: 'digest', when: d.to },
+    severity: 'info',
+    device: 'all devices',
+    subject,
+    payload: {
+      email: { subject, text: digestText(d), html: digestHtml(d), to: parseRecipients(cfg.digest_to || cfg.alert_to_email || process.env.ALERT_TO_EMAIL || '') },
+      discord: { content: title, embeds: digestEmbed(d) },
+    },
+  };
+  // the built-in channels with the global settings; the digest has its own on/off switches
+  const builtin = notifyChannelsFor(cfg);
+  const targets = [
+    { ...builtin.find(ch => ch.id === 'email'), enabled: true },
+    ...(cfg.digest_discord ? [{ ...builtin.find(ch => ch.id === 'discord'), enabled: true }] : []),
+  ];
+  const deliveries = await Promise.all(targets.map(ch => outbox.submit(msg, ch)));
+  console.log(`Digest (${period}):`, deliveries.map(x => `${x.via} ${x.ok ? 'ok' : x.queued ? `queued (${x.reason || x.status || 'failed'})` : x.reason || x.status || 'failed'}`).join(', '));
+  return { digest: d, deliveries };
+}
+
+// called every minute: send when the configured slot has passed since the last run
+async function runScheduledDigest() {
+  if (!db?.data) return;
+  const cfg = getConfig();
+  if (!cfg.digest_enabled) return;
   const now = Date.now();
-  // accept device ts within ±48h and not NaN
-  // withinWindow is set to clientTs ANDed with absolute value of clientTs - now less than 48 * 3600 * 1000
-  const withinWindow = Number.isFinite(clientTs) && Math.abs(clientTs - now) < 48 * 3600 * 1000;
-  // set tsUse to clientTs if withinWindow else now
-  const tsUse = withinWindow ? clientTs : now;
-  // if withinWindow is false ANDed with clientTs
-  if (!withinWindow && Number.isFinite(clientTs)) {
-    //logs warning
-    console.warn(`ts_ms out of window; using server time. device=${clientTs} server=${now}`);
+  const schedule = { period: cfg.digest_period || 'daily', time: cfg.digest_time || '07:00', weekday: cfg.digest_weekday || 'mon' };
+  // first run after enabling: start counting from now rather than sending a catch-up digest
+  if (!db.data.digest_last_run) {
+    db.data.digest_last_run = now;
+    await db.write();
+    return;
   }
+  if (!digestDue(schedule, db.data.digest_last_run, now)) return;
+  db.data.digest_last_run = now;
+  await db.write();
+  await sendDigest(schedule.period);
+}
 
-  // set prev to device_id ORed with following fields
-  const prev = last.get(device_id) || { lastSavedTemp: undefined, lastSavedAt: 0, lastSr: undefined, lastSeenAt: 0 };
-  // set delta to absolute value else infinity if prev.lastSavedTemp is finite
-  const delta = Number.isFinite(prev.lastSavedTemp) ? Math.abs(temp_c - prev.lastSavedTemp) : Infinity;
-  let reason = '';
-  let shouldSave = false;
+// GET /digest?period=daily|weekly -> preview of the report (nothing is sent)
+app.get('/digest', adminAuth, async (req, res) => {
+  const period = String(req.query.period || getConfig().digest_period || 'daily');
+  if (!['daily', 'weekly'].includes(period)) return res.status(400).json({ error: 'period must be daily or weekly' });
+  const d = await makeDigest(period);
+  if (req.query.format === 'text') return res.type('text/plain').send(digestText(d));
+  if (req.query.format === 'html') return res.type('html').send(digestHtml(d));
+  res.json(d);
+});
+
+// POST /digest/send?period= -> send one now
+app.post('/digest/send', adminAuth, async (req, res) => {
+  const period = String(req.query.period || req.body?.period || getConfig().digest_period || 'daily');
+  if (!['daily', 'weekly'].includes(period)) return res.status(400).json({ error: 'period must be daily or weekly' });
+  const { digest, deliveries } = await sendDigest(period);
+  res.json({ ok: deliveries.some(x => x.ok), deliveries, digest });
+});
+
+// --- Ingest quarantine (rejected / suspicious payloads) ---
+// GET /quarantine?device_id=&reason=&limit= -> newest entries first + per-device counters
+app.get('/quarantine', adminAuth, async (req, res) => {
+  await ready;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  res.json({
+    entries: quarantine.list({ device_id: req.query.device_id || undefined, reason: req.query.reason || undefined, limit }),
+    counts: quarantine.counts(),
+  });
+});
 
-  //unsigned right shift register to convert to a 32 bit ORed with 0
-  const srNum = (sr >>> 0) || 0;
+// Clear the log (all devices, or ?device_id= for one)
+app.delete('/quarantine', adminAuth, async (req, res) => {
+  await ready;
+  quarantine.clear(req.query.device_id || undefined);
+  res.json({ ok: true });
+});
+
+// decoded status register of a stored record (null if there is none)
+function sensorFor(id, rec) {
+  if (!rec) return null;
+  return decodeSr(rec.sr, db.data.devices?.[id]?.sensor_type, getConfig().sr_maps);
+}
 
+// Resolve the effective bounds for a device (or one of its probe channels):
+// per-channel override, then per-device override, then DB config, then env.
+// alertDelayMin/hysteresisC resolve the same way.
+function boundsFor(device_id, channel) {
   // set devcfg to db ANDed with db of device id ORed with null
   const devCfg = (db.data.devices && db.data.devices[device_id]) || null;
+  // per-channel config lives under devCfg.channels
+  const chCfg = (channel && devCfg?.channels?.[channel]) || null;
   // set cfg to getConfig
   const cfg = getConfig();
 
-  // set lowerOverride to the following ternary statements
-  const lowerOverride =
+  // set lower/upper to the following ternary statements
+  const lower =
+    (chCfg && typeof chCfg.lowerC === 'number') ? chCfg.lowerC :
     (devCfg && typeof devCfg.lowerC === 'number') ? devCfg.lowerC :
     (typeof cfg.lowerC === 'number' ? cfg.lowerC : LOWER);
-  const upperOverride =
+  const upper =
+    (chCfg && typeof chCfg.upperC === 'number') ? chCfg.upperC :
     (devCfg && typeof devCfg.upperC === 'number') ? devCfg.upperC :
     (typeof cfg.upperC === 'number' ? cfg.upperC : UPPER);
+  // alert tuning fields follow the same channel -> device -> config -> env order
+  const pick = (k, envDefault) =>
+    [chCfg?.[k], devCfg?.[k], cfg[k]].find(v => typeof v === 'number') ?? envDefault;
+  return {
+    lower,
+    upper,
+    // warning band (alerts.js clips it to lower/upper)
+    warnLower: pick('warnLowerC', WARN_LOWER),
+    warnUpper: pick('warnUpperC', WARN_UPPER),
+    delayMin: pick('alertDelayMin', ALERT_DELAY_MIN),
+    hysteresisC: pick('hysteresisC', HYSTERESIS_C),
+    trendRateCPerH: pick('trendRateCPerH', TREND_RATE_C_PER_H),
+    trendHorizonMin: pick('trendHorizonMin', TREND_HORIZON_MIN),
+  };
+}
+
+// alert tuning fields (warning band, delay, hysteresis, trend) allowed next to lowerC/upperC
+// (device, channel and global config)
+const TUNING_LIMITS = {
+  warnLowerC: [-100, 50],
+  warnUpperC: [-100, 50],
+  alertDelayMin: [0, 1440],
+  hysteresisC: [0, 20],
+  trendRateCPerH: [0, 100],
+  trendHorizonMin: [0, 1440],
+};
+// error message for a tuning value, or null if it's fine
+function tuningError(k, v) {
+  const [min, max] = TUNING_LIMITS[k];
+  return (typeof v !== 'number' || !Number.isFinite(v) || v < min || v > max) ? `${k} must be a number ${min}..${max}` : null;
+}
+
+// probe channel names: short, URL/file safe
+const CHANNEL_RE = /^[A-Za-z0-9_.-]{1,32}$/;
+
+// Shared ingest pipeline for one validated reading (used by /ingest and /ingest/batch).
+// live=false skips the alert manager so backfilled history can't fire stale notifications.
+// dedup is the per-channel dedup state to use (a batch passes its own for readings older than
+// what the device already sent live, so they don't wind the live state back).
+// Returns the record to store but leaves appending it to the caller.
+function applyReading({ device_id, channel, temp_c, srNum, tsUse, live = true, dedup = last }) {
+  // dedup state is per probe channel
+  const key = stateKey(device_id, channel);
+  // set prev to key ORed with following fields
+  const prev = dedup.get(key) || { lastSavedTemp: undefined, lastSavedAt: 0, lastSr: undefined, lastSeenAt: 0 };
+  // set delta to absolute value else infinity if prev.lastSavedTemp is finite
+  const delta = Number.isFinite(prev.lastSavedTemp) ? Math.abs(temp_c - prev.lastSavedTemp) : Infinity;
+  let reason = '';
+  let shouldSave = false;
+
+  const { lower, upper, warnLower, warnUpper, delayMin, hysteresisC, trendRateCPerH, trendHorizonMin } = boundsFor(device_id, channel);
+  // sensor type picks the status register bit map
+  const sensorType = db.data.devices?.[device_id]?.sensor_type;
 
+  // only live readings drive alert state
+  if (live) {
     // populate the following object with the feels
-  alerts.updateReading({
-    id: device_id,
-    t: temp_c,
-    sr: srNum,
-    ts: tsUse,
-    lower: lowerOverride,
-    upper: upperOverride,
-  });
+    alerts.updateReading({
+      id: device_id,
+      channel,
+      channelName: channel ? db.data.devices?.[device_id]?.channels?.[channel]?.name : undefined,
+      t: temp_c,
+      sr: srNum,
+      ts: tsUse,
+      lower,
+      upper,
+      warnLower,
+      warnUpper,
+      delayMin,
+      hysteresisC,
+      trendRateCPerH,
+      trendHorizonMin,
+      sensorType,
+    });
+  }
 
   // check if the prev.lastsavedtemp is finite, if it is, set should save to true and reason first
   if (!Number.isFinite(prev.lastSavedTemp)) { shouldSave = true; reason = 'first'; }
@@ -372,41 +1156,313 @@ app.post('/ingest', auth, async (req, res) => {
   // if it is set should save to true and reason to string values
   else if (tsUse - prev.lastSavedAt >= KEEPALIVE_MS) { shouldSave = true; reason = `heartbeat>${KEEPALIVE_MS}ms`; }
 
-  // If fault status changes, save immediately
-  if (!shouldSave && prev.lastSr !== undefined && prev.lastSr !== srNum) {
-    shouldSave = true; reason = 'fault-change';
+  // If fault status changes, save immediately
+  if (!shouldSave && prev.lastSr !== undefined && prev.lastSr !== srNum) {
+    shouldSave = true; reason = 'fault-change';
+  }
+
+  // Update last-seen regardless
+  dedup.set(key, {
+
+    //set fields to ternary statements if shouldSave is true
+    lastSavedTemp: shouldSave ? temp_c : prev.lastSavedTemp,
+    lastSavedAt: shouldSave ? tsUse : prev.lastSavedAt,
+    lastSr: shouldSave ? srNum : (prev.lastSr ?? srNum),
+    lastSeenAt: tsUse,
+  });
+  stateFile.scheduleSave();
+
+  //if shouldSave is false there is nothing to store
+  if (!shouldSave) return { saved: false, delta, reason, lower, upper, sensorType };
+
+  //populate object fields with the following
+  const rec = {
+    ts: new Date(tsUse).toISOString(),
+    ts_ms: tsUse,
+    device_id,
+    ...(channel ? { channel } : {}),
+    temp_c: Math.round(temp_c * 100) / 100,
+    sr: srNum,
+  };
+  return { saved: true, rec, delta, reason, lower, upper, sensorType };
+}
+
+// log line for a saved record
+function logSaved({ rec, delta, reason }, tag = 'save') {
+  console.log(`${tag} [${rec.device_id}${rec.channel ? `/${rec.channel}` : ''}] t=${rec.temp_c}°C sr=0x${rec.sr.toString(16).padStart(2, '0')} Δ=${Number.isFinite(delta) ? delta.toFixed(2) : '—'} (${reason})`);
+}
+
+// Probe readings in a body: single-probe { temp_c, sr, channel? } or multi-probe
+// channels: [{ channel, temp_c, sr }] | { <channel>: temp_c | { temp_c, sr } }.
+// Returns [{ channel, temp_c, sr }] or { error, reason } (reason is the quarantine code).
+function probesFromBody(body) {
+  if (body.channels === undefined) {
+    if (typeof body.temp_c !== 'number') return { error: 'device_id and temp_c required', reason: REASONS.MISSING_FIELD };
+    if (body.channel !== undefined && !CHANNEL_RE.test(String(body.channel))) return { error: 'invalid channel', reason: REASONS.INVALID_CHANNEL };
+    return [{ channel: body.channel !== undefined ? String(body.channel) : undefined, temp_c: body.temp_c, sr: body.sr }];
+  }
+  const list = Array.isArray(body.channels)
+    ? body.channels
+    : Object.entries(body.channels || {}).map(([channel, v]) => (typeof v === 'number' ? { channel, temp_c: v } : { ...v, channel }));
+  if (list.length === 0) return { error: 'channels must not be empty', reason: REASONS.MISSING_FIELD };
+  const probes = [];
+  for (const p of list) {
+    if (!p || !CHANNEL_RE.test(String(p.channel ?? ''))) return { error: 'each channel needs a name ([A-Za-z0-9_.-], max 32)', reason: REASONS.INVALID_CHANNEL };
+    if (typeof p.temp_c !== 'number') return { error: `temp_c required for channel ${p.channel}`, reason: REASONS.MISSING_FIELD };
+    // a per-channel sr wins over the board-level one
+    probes.push({ channel: String(p.channel), temp_c: p.temp_c, sr: p.sr ?? body.sr });
+  }
+  return probes;
+}
+
+// Validate one reading (one or more probes at the same instant) and run it through the
+// pipeline; shared by POST /ingest and MQTT (source is 'http' or 'mqtt', for the quarantine log).
+// Rejected and suspicious payloads are recorded in the quarantine log.
+// Returns { status } (200 = accepted or deliberately dropped) or { status, error }.
+async function ingestOne(body, ingestAuth, source = 'http') {
+  // sets id and ts_ms to request body field or empty
+  const { device_id, ts_ms } = body || {};
+  // device id is required; probesFromBody checks the temperatures
+  if (!device_id) {
+    quarantine.add({ reason: REASONS.MISSING_FIELD, detail: 'device_id missing', payload: body, source });
+    return { status: 400, error: 'device_id and temp_c required' };
+  }
+  const probes = probesFromBody(body);
+  if (probes.error) {
+    quarantine.add({ device_id, reason: probes.reason, detail: probes.error, payload: body, source });
+    return { status: 400, error: probes.error };
+  }
+
+  // the key must be allowed to post as this device
+  if (!canPostAs(ingestAuth, device_id)) {
+    quarantine.add({ device_id, reason: REASONS.KEY_MISMATCH, detail: 'key not valid for this device_id', payload: body, source });
+    return { status: 403, error: 'key not valid for this device_id' };
+  }
+
+  // set clientTs to the number 64 bit of ts_ms
+  const clientTs = Number(ts_ms);
+  // set now as the time now
+  const now = Date.now();
+  // accept device ts within ±48h and not NaN
+  // withinWindow is set to clientTs ANDed with absolute value of clientTs - now less than 48 * 3600 * 1000
+  const withinWindow = Number.isFinite(clientTs) && Math.abs(clientTs - now) < 48 * 3600 * 1000;
+  // set tsUse to clientTs if withinWindow else now
+  const tsUse = withinWindow ? clientTs : now;
+  // if withinWindow is false ANDed with clientTs
+  if (!withinWindow && Number.isFinite(clientTs)) {
+    // the reading is still stored (with server time) but the clock skew is worth keeping
+    quarantine.add({
+      device_id,
+      reason: REASONS.TS_OUT_OF_WINDOW,
+      detail: `device ts ${clientTs} vs server ${now}; used server time`,
+      payload: body,
+      source,
+      action: 'stored',
+    });
+  }
+
+  const recs = [];
+  for (const { channel, temp_c, sr } of probes) {
+    // Drop obviously bad readings (per probe, the others still count)
+    if (!Number.isFinite(temp_c) || temp_c < -200 || temp_c > 1200) {
+      // quarantines and skips
+      quarantine.add({
+        device_id,
+        reason: Number.isFinite(temp_c) ? REASONS.TEMP_OUT_OF_RANGE : REASONS.NON_FINITE_TEMP,
+        detail: `${channel ? `channel ${channel}: ` : ''}temp_c=${temp_c}`,
+        payload: body,
+        source,
+      });
+      continue;
+    }
+
+    //unsigned right shift register to convert to a 32 bit ORed with 0
+    const srNum = (sr >>> 0) || 0;
+
+    // run the shared pipeline (alerts + dedup + record)
+    const result = applyReading({ device_id: String(device_id), channel, temp_c, srNum, tsUse });
+
+    //if a record should be stored
+    if (result.saved) {
+      recs.push(result.rec);
+      // log the saved record
+      logSaved(result);
+    }
+  }
+  //await for the append to the readings store (one append for all probes)
+  if (recs.length) await store.appendMany(recs);
+  return { status: 200 };
+}
+
+// Ingest endpoint
+app.post('/ingest', auth, async (req, res) => {
+  // checks if incoming HTTP request is JSON
+  // if request is NOT JSON the server rejects it with 415 error
+  if ((req.get('content-type') || '').indexOf('application/json') !== 0) {
+    // the body wasn't parsed, so all we know is who sent it and how
+    quarantine.add({
+      device_id: req.ingestAuth?.deviceId,
+      reason: REASONS.WRONG_CONTENT_TYPE,
+      detail: `content-type: ${req.get('content-type') || '(none)'}`,
+      source: 'http',
+    });
+    return res.status(415).json({ error: 'application/json required' });
+  }
+  await ready;
+
+  const out = await ingestOne(req.body, req.ingestAuth, 'http');
+  if (out.error) return res.status(out.status).json({ error: out.error });
+
+  // return with success
+  return res.sendStatus(200);
+});
+
+// Batch ingest (store-and-forward backfill after Wi-Fi outages)
+// Body: { device_id, readings: [{ temp_c, sr, ts_ms, channel? }, ...] } or a bare array of
+// { device_id, temp_c, sr, ts_ms, channel? }. Every item must carry its own ts_ms.
+// Readings whose timestamp is already stored for the device/channel count as stale (a retry).
+app.post('/ingest/batch', auth, express.json({ limit: BATCH_BODY_LIMIT }), async (req, res) => {
+  // same content type rule as /ingest
+  if ((req.get('content-type') || '').indexOf('application/json') !== 0) {
+    quarantine.add({
+      device_id: req.ingestAuth?.deviceId,
+      reason: REASONS.WRONG_CONTENT_TYPE,
+      detail: `batch; content-type: ${req.get('content-type') || '(none)'}`,
+      source: 'http',
+    });
+    return res.status(415).json({ error: 'application/json required' });
+  }
+  await ready;
+
+  // accept either a bare array or { device_id, readings }
+  const body = req.body || {};
+  const items = Array.isArray(body) ? body : body.readings;
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'readings array required' });
+  }
+  if (items.length > BATCH_MAX_READINGS) {
+    return res.status(413).json({ error: `too many readings (max ${BATCH_MAX_READINGS})` });
+  }
+
+  const now = Date.now();
+  const accepted = [];
+  const rejected = [];
+
+  // validate each item; bad ones are reported back instead of failing the whole batch
+  // (and quarantined, tagged with the batch index)
+  items.forEach((item, index) => {
+    const device_id = (item && item.device_id) || body.device_id;
+    const temp_c = item && item.temp_c;
+    const ts = Number(item && item.ts_ms);
+    const channel = item && item.channel !== undefined ? String(item.channel) : undefined;
+    const reject = (reason, code) => {
+      rejected.push({ index, reason });
+      quarantine.add({ device_id, reason: code, detail: `batch item ${index}: ${reason}`, payload: item, source: 'batch' });
+    };
+    if (!device_id || typeof temp_c !== 'number') {
+      reject('device_id and temp_c required', REASONS.MISSING_FIELD);
+    } else if (channel !== undefined && !CHANNEL_RE.test(channel)) {
+      reject('invalid channel', REASONS.INVALID_CHANNEL);
+    } else if (!canPostAs(req.ingestAuth, device_id)) {
+      reject('key not valid for this device_id', REASONS.KEY_MISMATCH);
+    } else if (!Number.isFinite(temp_c) || temp_c < -200 || temp_c > 1200) {
+      reject('bad temp_c', Number.isFinite(temp_c) ? REASONS.TEMP_OUT_OF_RANGE : REASONS.NON_FINITE_TEMP);
+    } else if (!Number.isFinite(ts)) {
+      reject('ts_ms required', REASONS.MISSING_FIELD);
+    } else if (ts < now - BACKFILL_MAX_AGE_MS || ts > now + 48 * 3600 * 1000) {
+      reject('ts_ms out of window', REASONS.TS_OUT_OF_WINDOW);
+    } else {
+      accepted.push({ device_id: String(device_id), channel, temp_c, srNum: (item.sr >>> 0) || 0, tsUse: ts });
+    }
+  });
+
+  // store oldest first so dedup sees the readings in the order they were taken
+  accepted.sort((a, b) => a.tsUse - b.tsUse);
+
+  // newest reading per device/channel; only that one may drive live alert state
+  const newestTs = {};
+  for (const r of accepted) newestTs[stateKey(r.device_id, r.channel)] = r.tsUse;
+
+  // timestamps already stored per device/channel over the batch's range: a retried batch
+  // (the device never saw our response) must not store its readings twice. The live high-water
+  // mark can't tell: a reconnecting device usually sends one live reading before its buffer.
+  const storedTs = {};
+  const byDevice = new Map();
+  for (const r of accepted) {
+    const span = byDevice.get(r.device_id) || { from: r.tsUse, to: r.tsUse };
+    byDevice.set(r.device_id, { from: Math.min(span.from, r.tsUse), to: Math.max(span.to, r.tsUse) });
+  }
+  for (const [id, span] of byDevice) {
+    for (const row of await store.query(id, span)) (storedTs[stateKey(id, row.channel || undefined)] ||= new Set()).add(row.ts_ms);
   }
 
-  // Update last-seen regardless
-  last.set(device_id, {
-    
-    //set fields to ternary statements if shouldSave is true
-    lastSavedTemp: shouldSave ? temp_c : prev.lastSavedTemp,
-    lastSavedAt: shouldSave ? tsUse : prev.lastSavedAt,
-    lastSr: shouldSave ? srNum : (prev.lastSr ?? srNum),
-    lastSeenAt: tsUse,
-  });
+  const saved = [];
+  let stale = 0;
+  const excursions = [];
+  // device/channel key -> currently open excursion while walking the history
+  const open = {};
+  // dedup state for readings older than the device's live ones (see applyReading)
+  const behind = new Map();
+
+  for (const r of accepted) {
+    const key = stateKey(r.device_id, r.channel);
+    const prev = last.get(key);
+    const isBehind = !!prev && r.tsUse <= prev.lastSeenAt;
+    const seen = storedTs[key] ||= new Set();
+    if (seen.has(r.tsUse)) {
+      stale++;
+      // a stored reading is the dedup baseline for the ones after it, as on the first upload
+      if (isBehind) behind.set(key, { lastSavedTemp: r.temp_c, lastSavedAt: r.tsUse, lastSr: r.srNum, lastSeenAt: r.tsUse });
+      continue;
+    }
+    seen.add(r.tsUse);
+
+    // live only if it's the newest reading of this device/channel and still fresh
+    const live = !isBehind && r.tsUse === newestTs[key] && now - r.tsUse <= BACKFILL_LIVE_MS;
+    const result = applyReading({ ...r, live, ...(isBehind ? { dedup: behind } : {}) });
+    if (result.saved) { saved.push(result.rec); logSaved(result, 'backfill'); }
+
+    // historical excursion tracking for the summary (live readings are handled by alerts)
+    // warning-level status bits don't count as an excursion
+    const fault = decodeSr(r.srNum, result.sensorType, getConfig().sr_maps).faults.length > 0;
+    const out = r.temp_c < result.lower || r.temp_c > result.upper || fault;
+    const ex = open[key];
+    if (out && !live) {
+      if (!ex) {
+        open[key] = {
+          device_id: r.device_id,
+          ...(r.channel ? { channel: r.channel } : {}),
+          start: new Date(r.tsUse).toISOString(),
+          end: new Date(r.tsUse).toISOString(),
+          min_c: r.temp_c,
+          max_c: r.temp_c,
+          fault,
+          bounds: `${result.lower}..${result.upper}`,
+        };
+      } else {
+        ex.end = new Date(r.tsUse).toISOString();
+        ex.min_c = Math.min(ex.min_c, r.temp_c);
+        ex.max_c = Math.max(ex.max_c, r.temp_c);
+        ex.fault = ex.fault || fault;
+      }
+    } else if (ex) {
+      // back in range (or handed over to live alerting) closes the excursion
+      excursions.push(ex);
+      delete open[key];
+    }
+  }
+  // excursions still open at the end of the backfill
+  for (const ex of Object.values(open)) excursions.push({ ...ex, ongoing: true });
 
-  //if shouldSave is true
-  if (shouldSave) {
-    //populate object fields with the following
-    const rec = {
-      ts: new Date(tsUse).toISOString(),
-      ts_ms: tsUse,
-      device_id,
-      temp_c: Math.round(temp_c * 100) / 100,
-      sr: srNum,
-    };
-    // push database readings with record
-    db.data.readings.push(rec);
-    //await for database write
-    await db.write();
-    // log the saved record
-    console.log(`save [${device_id}] t=${rec.temp_c}°C sr=0x${srNum.toString(16).padStart(2, '0')} Δ=${Number.isFinite(delta) ? delta.toFixed(2) : '—'} (${reason})`);
+  // one append per device/day for the whole batch
+  if (saved.length) await store.appendMany(saved);
+
+  // log a summary of what happened while the device was unreachable
+  for (const ex of excursions) {
+    console.warn(`backfill excursion [${ex.device_id}${ex.channel ? `/${ex.channel}` : ''}] ${ex.start} → ${ex.end} min=${ex.min_c}°C max=${ex.max_c}°C bounds ${ex.bounds}${ex.fault ? ' (sensor fault)' : ''}${ex.ongoing ? ' (ongoing)' : ''}`);
   }
 
-  // return with success
-  return res.sendStatus(200);
+  res.json({ ok: true, received: items.length, accepted: accepted.length, saved: saved.length, stale, rejected, excursions });
 });
 
 
@@ -428,26 +1484,25 @@ app.post('/_test/alert', (req, res) => {
 app.get('/devices', adminAuth, async (_req, res) => {
   await ready;
 
-  // set ids to new set object and map r to device id
-  const ids = new Set(db.data.readings.map(r => r.device_id));
+  // set ids to new set object of every device in the readings store
+  const ids = new Set(store.deviceIds());
   //set object keys to db.datdevices ored with empty
   Object.keys(db.data.devices || {}).forEach(id => ids.add(id));
+  // provisioned devices show up before they have reported
+  Object.keys(db.data.credentials || {}).forEach(id => ids.add(id));
 
-  // instantiate latestbyid
-  const latestById = {};
-  // for loop to iterate through db length from greatest to 0
-  for (let i = db.data.readings.length - 1; i >= 0; i--) {
-    //set r to db[index]
-    const r = db.data.readings[i];
-    // if false latest by id set the corresponding id to r
-    if (!latestById[r.device_id]) latestById[r.device_id] = r;
-  }
-
-  // set out to map id to following fields
+  // set out to map id to following fields (latest comes from the store index)
   const out = [...ids].map(id => ({
     id,
     cfg: (db.data.devices && db.data.devices[id]) || null,
-    latest: latestById[id] || null,
+    latest: store.latest(id),
+    credential: publicCredential(db.data.credentials?.[id]),
+    // latest status register decoded with the device's bit map
+    sensor: sensorFor(id, store.latest(id)),
+    // newest record per probe for multi-probe devices ({} otherwise)
+    channels: store.latestByChannel(id),
+    // snooze / maintenance window in force right now
+    suppressed: suppressionFor(id),
   }));
   res.json({ devices: out });
 });
@@ -458,9 +1513,16 @@ app.get('/devices/:id', adminAuth, async (req, res) => {
   const id = req.params.id;
   // config is set to devices to be anded with the devices[id] ored to be NULL
   const cfg = (db.data.devices && db.data.devices[id]) || null;
-  //set latestRec to be db with reverse order and find corresponding record ORed to be null
-  const latestRec = [...db.data.readings].reverse().find(r => r.device_id === id) || null;
-  res.json({ id, cfg, latest: latestRec });
+  //set latestRec to the newest stored record for this device or null
+  const latestRec = store.latest(id);
+  res.json({
+    id, cfg, latest: latestRec,
+    credential: publicCredential(db.data.credentials?.[id]),
+    sensor: sensorFor(id, latestRec),
+    channels: store.latestByChannel(id),
+    // where its notifications go after device/group/global routing
+    routing: routingFor(id),
+  });
 });
 
 // put request and response
@@ -468,7 +1530,8 @@ app.put('/devices/:id', adminAuth, async (req, res) => {
   await ready;
   const id = req.params.id;
   //set following fields to bode ored with empty string
-  const { lowerC, upperC, name, notes } = req.body || {};
+  const { lowerC, upperC, name, notes, sensor_type, channels, escalation, group, routing } = req.body || {};
+  const body = req.body || {};
 
   // set cfg to db anded with db[id] ORed with nothing
   const cfg = (db.data.devices && db.data.devices[id]) || {};
@@ -491,10 +1554,78 @@ app.put('/devices/:id', adminAuth, async (req, res) => {
     // set cfg upper to upperC
     cfg.upperC = upperC;
   }
+  // alert delay (minutes out of range before alerting) and recovery hysteresis (°C);
+  // null goes back to the global setting
+  for (const k of Object.keys(TUNING_LIMITS)) {
+    if (body[k] === undefined) continue;
+    if (body[k] === null) { delete cfg[k]; continue; }
+    const err = tuningError(k, body[k]);
+    if (err) return res.status(400).json({ error: err });
+    cfg[k] = body[k];
+  }
   // check if name is not equal to undefined set the name to stringify name and slice based on index 0 to 80
   if (name !== undefined) cfg.name = String(name).slice(0, 80);
   // same as the last comment but for notes and 0 to 400
   if (notes !== undefined) cfg.notes = String(notes).slice(0, 400);
+  // sensor type selects the status register bit map ('' goes back to the default)
+  if (sensor_type !== undefined) {
+    const t = String(sensor_type).trim().toLowerCase();
+    if (t && !sensorTypes(getConfig().sr_maps).includes(t)) {
+      return res.status(400).json({ error: `sensor_type must be one of ${sensorTypes(getConfig().sr_maps).join(', ')}` });
+    }
+    if (t) cfg.sensor_type = t; else delete cfg.sensor_type;
+  }
+  // probe channels: { <channel>: { name, lowerC, upperC, alertDelayMin, hysteresisC } | null }, merged into cfg.channels
+  // (null removes a channel's overrides)
+  if (channels !== undefined) {
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      return res.status(400).json({ error: 'channels must be an object' });
+    }
+    const next = { ...(cfg.channels || {}) };
+    for (const [ch, v] of Object.entries(channels)) {
+      if (!CHANNEL_RE.test(ch)) return res.status(400).json({ error: `invalid channel name ${ch}` });
+      if (v === null) { delete next[ch]; continue; }
+      const c = { ...(next[ch] || {}) };
+      for (const k of ['lowerC', 'upperC', ...Object.keys(TUNING_LIMITS)]) {
+        if (v[k] === undefined) continue;
+        // null clears the override so the device bounds apply again
+        if (v[k] === null) { delete c[k]; continue; }
+        if (typeof v[k] !== 'number' || !Number.isFinite(v[k])) {
+          return res.status(400).json({ error: `channels.${ch}.${k} must be a number` });
+        }
+        const err = TUNING_LIMITS[k] && tuningError(k, v[k]);
+        if (err) return res.status(400).json({ error: `channels.${ch}: ${err}` });
+        c[k] = v[k];
+      }
+      if (typeof c.lowerC === 'number' && typeof c.upperC === 'number' && c.lowerC >= c.upperC) {
+        return res.status(400).json({ error: `channels.${ch}: lowerC must be < upperC` });
+      }
+      if (v.name !== undefined) c.name = String(v.name).slice(0, 80);
+      next[ch] = c;
+    }
+    cfg.channels = next;
+  }
+  // escalation chain override (array, [] = never escalate); null goes back to the global chain
+  if (escalation !== undefined) {
+    if (escalation === null) delete cfg.escalation;
+    else {
+      const parsed = parseEscalation(escalation);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      cfg.escalation = parsed.levels;
+    }
+  }
+  // device group ('' / null leaves the group) and the device's own routing overrides
+  // (replaced as a whole; null / {} goes back to the group / global routing)
+  if (group !== undefined) {
+    const g = group === null ? '' : String(group).trim();
+    if (g && !db.data.groups?.[g]) return res.status(400).json({ error: `unknown group ${g}` });
+    if (g) cfg.group = g; else delete cfg.group;
+  }
+  if (routing !== undefined) {
+    const parsed = parseRouting(routing ?? {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (Object.keys(parsed.routing).length) cfg.routing = parsed.routing; else delete cfg.routing;
+  }
 
   // db is ored to set into field
   db.data.devices ||= {};
@@ -506,6 +1637,140 @@ app.put('/devices/:id', adminAuth, async (req, res) => {
   res.json({ ok: true, id, cfg });
 });
 
+// ---- Device groups (shared recipients / channels for a set of devices, see routing.js) ----
+app.get('/groups', adminAuth, async (_req, res) => {
+  await ready;
+  const devices = Object.entries(db.data.devices || {});
+  const groups = Object.fromEntries(Object.entries(db.data.groups || {}).map(([id, g]) => [
+    id,
+    { ...g, devices: devices.filter(([, d]) => d.group === id).map(([devId]) => devId) },
+  ]));
+  res.json({ groups });
+});
+
+// create / update a group: { name, routing: { alert_to_email, discord_webhook_url, discord_thread_id, notify } }
+// (routing replaces the group's previous routing; null clears it)
+app.put('/groups/:id', adminAuth, async (req, res) => {
+  await ready;
+  const id = req.params.id;
+  if (!GROUP_ID_RE.test(id)) return res.status(400).json({ error: 'group id may only use letters, digits, _ and -' });
+  const body = req.body || {};
+  const g = { ...(db.data.groups?.[id] || {}) };
+  if (body.name !== undefined) g.name = String(body.name).slice(0, 80);
+  if (body.routing !== undefined) {
+    const parsed = parseRouting(body.routing ?? {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    g.routing = parsed.routing;
+  }
+  g.name ||= id;
+  g.routing ||= {};
+  db.data.groups ||= {};
+  db.data.groups[id] = g;
+  await db.write();
+  res.json({ ok: true, id, group: g });
+});
+
+// delete a group; its devices fall back to the global routing
+app.delete('/groups/:id', adminAuth, async (req, res) => {
+  await ready;
+  const id = req.params.id;
+  if (!db.data.groups?.[id]) return res.status(404).json({ error: 'no such group' });
+  delete db.data.groups[id];
+  for (const d of Object.values(db.data.devices || {})) if (d.group === id) delete d.group;
+  await db.write();
+  res.json({ ok: true });
+});
+
+// ---- On-call schedule (people, rotations, overrides, quiet hours; see oncall.js) ----
+function oncallData() {
+  db.data.oncall ||= {};
+  db.data.oncall.people ||= {};
+  db.data.oncall.rotations ||= {};
+  db.data.oncall.overrides ||= [];
+  return db.data.oncall;
+}
+
+// everything plus who is on call right now
+app.get('/oncall', adminAuth, async (_req, res) => {
+  await ready;
+  const oc = oncallData();
+  pruneOverrides(oc);
+  res.json({ ...oc, now: onCallNow(oc), active: hasSchedule(oc) });
+});
+
+// create / update a person: { name, contacts: [{ type: 'email'|'sms', address }], quiet: ['daily 22:00-07:00'] }
+app.put('/oncall/people/:id', adminAuth, async (req, res) => {
+  await ready;
+  const id = req.params.id;
+  if (!ONCALL_ID_RE.test(id)) return res.status(400).json({ error: 'person id may only use letters, digits, _ and -' });
+  const oc = oncallData();
+  const parsed = parsePerson(req.body, oc.people[id]);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  oc.people[id] = parsed.person;
+  await db.write();
+  res.json({ ok: true, id, person: parsed.person });
+});
+
+// delete a person: they leave every rotation and their overrides go
+app.delete('/oncall/people/:id', adminAuth, async (req, res) => {
+  await ready;
+  const id = req.params.id;
+  const oc = oncallData();
+  if (!oc.people[id]) return res.status(404).json({ error: 'no such person' });
+  delete oc.people[id];
+  for (const r of Object.values(oc.rotations)) r.people = r.people.filter(p => p !== id);
+  oc.overrides = oc.overrides.filter(o => o.person !== id);
+  await db.write();
+  res.json({ ok: true });
+});
+
+// create / update a rotation: { name, people: [ids], start: '2026-11-02 09:00', shift_days: 7 }
+app.put('/oncall/rotations/:id', adminAuth, async (req, res) => {
+  await ready;
+  const id = req.params.id;
+  if (!ONCALL_ID_RE.test(id)) return res.status(400).json({ error: 'rotation id may only use letters, digits, _ and -' });
+  const oc = oncallData();
+  const parsed = parseRotation(req.body, oc, oc.rotations[id]);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  parsed.rotation.name ||= id;
+  oc.rotations[id] = parsed.rotation;
+  await db.write();
+  res.json({ ok: true, id, rotation: parsed.rotation });
+});
+
+app.delete('/oncall/rotations/:id', adminAuth, async (req, res) => {
+  await ready;
+  const id = req.params.id;
+  const oc = oncallData();
+  if (!oc.rotations[id]) return res.status(404).json({ error: 'no such rotation' });
+  delete oc.rotations[id];
+  oc.overrides = oc.overrides.filter(o => o.rotation !== id);
+  await db.write();
+  res.json({ ok: true });
+});
+
+// someone else covers a rotation for a while: { rotation, person, from, to, note }
+app.post('/oncall/overrides', adminAuth, async (req, res) => {
+  await ready;
+  const oc = oncallData();
+  const parsed = parseOverride(req.body, oc);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  pruneOverrides(oc);
+  oc.overrides.push(parsed.override);
+  await db.write();
+  res.json({ ok: true, override: parsed.override });
+});
+
+app.delete('/oncall/overrides/:id', adminAuth, async (req, res) => {
+  await ready;
+  const oc = oncallData();
+  const before = oc.overrides.length;
+  oc.overrides = oc.overrides.filter(o => o.id !== req.params.id);
+  if (oc.overrides.length === before) return res.status(404).json({ error: 'no such override' });
+  await db.write();
+  res.json({ ok: true });
+});
+
 // ---- Global config API (in db.data.config) ----
 app.get('/config', adminAuth, async (_req, res) => {
   await ready;
@@ -537,6 +1802,16 @@ app.put('/config', adminAuth, async (req, res) => {
   if (cfg.lowerC !== undefined && cfg.upperC !== undefined && cfg.lowerC >= cfg.upperC) {
     return res.status(400).json({ error: 'lowerC must be < upperC' });
   }
+  // default warning band / alert delay / recovery hysteresis for devices without their own
+  // (null goes back to the env default)
+  for (const k of Object.keys(TUNING_LIMITS)) {
+    if (body[k] === undefined) continue;
+    if (body[k] === null) { delete cfg[k]; continue; }
+    const n = Number(body[k]);
+    const err = tuningError(k, n);
+    if (err) return res.status(400).json({ error: err });
+    cfg[k] = n;
+  }
 
   // Alerts master switch
   if (body.alerts_enabled !== undefined) {
@@ -557,6 +1832,21 @@ app.put('/config', adminAuth, async (req, res) => {
       // set cfg email enabled to val
     cfg.email_enabled = val;
   }
+  // shared API_KEY fallback for ingest (turn off once every device has its own secret)
+  if (body.global_api_key_enabled !== undefined) {
+    const val = (typeof body.global_api_key_enabled === 'string')
+      ? ['1','true','on','yes'].includes(body.global_api_key_enabled.toLowerCase())
+      : !!body.global_api_key_enabled;
+    cfg.global_api_key_enabled = val;
+  }
+  // "rejects" alert when a device floods the ingest quarantine
+  if (body.quarantine_alerts_enabled !== undefined) {
+    const val = (typeof body.quarantine_alerts_enabled === 'string')
+      ? ['1','true','on','yes'].includes(body.quarantine_alerts_enabled.toLowerCase())
+      : !!body.quarantine_alerts_enabled;
+    cfg.quarantine_alerts_enabled = val;
+  }
+
   // check if discord isn't enabled
   if (body.discord_enabled !== undefined) {
     //ternary statement
@@ -575,6 +1865,12 @@ app.put('/config', adminAuth, async (req, res) => {
   if (body.alert_from_email !== undefined) {
     cfg.alert_from_email = String(body.alert_from_email).trim();
   }
+  // Email providers to try in order, e.g. "resend,smtp" (blank = EMAIL_PROVIDER env)
+  if (body.email_providers !== undefined) {
+    const parsed = parseProviders(body.email_providers);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (parsed.providers.length) cfg.email_providers = parsed.providers; else delete cfg.email_providers;
+  }
 
   // Discord
   if (body.discord_webhook_url !== undefined) {
@@ -601,6 +1897,100 @@ app.put('/config', adminAuth, async (req, res) => {
     cfg.discord_min_gap_sec = n;
   }
 
+  // batching window for non-critical notifications (seconds, 0 = off)
+  if (body.coalesce_sec !== undefined) {
+    const n = Number(body.coalesce_sec);
+    if (!Number.isFinite(n) || n < 0 || n > 600) return res.status(400).json({ error: 'coalesce_sec must be 0..600' });
+    cfg.coalesce_sec = n;
+  }
+
+  // °C an acknowledged excursion may worsen by before alerting again
+  if (body.ack_worsen_margin_c !== undefined) {
+    const n = Number(body.ack_worsen_margin_c);
+    if (!Number.isFinite(n) || n < 0 || n > 100) return res.status(400).json({ error: 'ack_worsen_margin_c must be 0..100' });
+    cfg.ack_worsen_margin_c = n;
+  }
+
+  // Status register bit maps: { <sensor type>: { <bit>: { name, level: 'fault'|'warning' } } }
+  // merged over the built-in maps in faults.js; null / blank removes the overrides
+  if (body.sr_maps !== undefined) {
+    let maps = body.sr_maps;
+    if (typeof maps === 'string') {
+      try { maps = maps.trim() ? JSON.parse(maps) : null; } catch { return res.status(400).json({ error: 'sr_maps is not valid JSON' }); }
+    }
+    if (maps === null) {
+      delete cfg.sr_maps;
+    } else {
+      const err = validateSrMaps(maps);
+      if (err) return res.status(400).json({ error: err });
+      cfg.sr_maps = normalizeSrMaps(maps);
+    }
+  }
+
+  // Escalation chain (levels after the normal alert recipients), array or JSON string; see escalation.js
+  if (body.escalation !== undefined) {
+    let levels = body.escalation;
+    if (typeof levels === 'string') {
+      try { levels = levels.trim() ? JSON.parse(levels) : []; } catch { return res.status(400).json({ error: 'escalation is not valid JSON' }); }
+    }
+    const parsed = parseEscalation(levels ?? []);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    cfg.escalation = parsed.levels;
+  }
+
+  // Which channels warnings / critical alerts go to: { warning: [ids], critical: [ids] }
+  // (a severity left out goes to every channel; groups and devices can override it, see routing.js)
+  if (body.severity_channels !== undefined) {
+    const parsed = parseSeverityChannels(body.severity_channels ?? {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (Object.keys(parsed.value).length) cfg.severity_channels = parsed.value; else delete cfg.severity_channels;
+  }
+
+  // Extra notification channels, array or JSON string; see channels.js
+  if (body.notify_channels !== undefined) {
+    let list = body.notify_channels;
+    if (typeof list === 'string') {
+      try { list = list.trim() ? JSON.parse(list) : []; } catch { return res.status(400).json({ error: 'notify_channels is not valid JSON' }); }
+    }
+    const parsed = parseChannels(list ?? []);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    cfg.notify_channels = parsed.channels;
+  }
+
+  // Digest reports: on/off, daily or weekly, at HH:MM (server time) on digest_weekday,
+  // to digest_to (blank = alert recipients), optionally to Discord too
+  for (const k of ['digest_enabled', 'digest_discord']) {
+    if (body[k] === undefined) continue;
+    cfg[k] = (typeof body[k] === 'string') ? ['1','true','on','yes'].includes(body[k].toLowerCase()) : !!body[k];
+  }
+  if (body.digest_period !== undefined) {
+    if (!['daily', 'weekly'].includes(body.digest_period)) return res.status(400).json({ error: 'digest_period must be daily or weekly' });
+    cfg.digest_period = body.digest_period;
+  }
+  if (body.digest_time !== undefined) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(body.digest_time).trim());
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return res.status(400).json({ error: 'digest_time must be HH:MM' });
+    cfg.digest_time = `${m[1].padStart(2, '0')}:${m[2]}`;
+  }
+  if (body.digest_weekday !== undefined) {
+    const wd = String(body.digest_weekday).trim().toLowerCase().slice(0, 3);
+    if (!WEEKDAYS.includes(wd)) return res.status(400).json({ error: `digest_weekday must be one of ${WEEKDAYS.join(', ')}` });
+    cfg.digest_weekday = wd;
+  }
+  if (body.digest_to !== undefined) {
+    const s = String(body.digest_to ?? '').trim();
+    if (s && !parseRecipients(s).length) return res.status(400).json({ error: 'digest_to has no addresses' });
+    cfg.digest_to = s;
+  }
+
+  // Retention (days; 0 keeps forever)
+  for (const k of ['retention_raw_days', 'retention_5m_days', 'retention_1h_days', 'retention_events_days']) {
+    if (body[k] === undefined) continue;
+    const n = Number(body[k]);
+    if (!Number.isFinite(n) || n < 0 || n > 36500) return res.status(400).json({ error: `${k} invalid` });
+    cfg[k] = n;
+  }
+
   // set db config to the cfg
   db.data.config = cfg;
   await db.write();
@@ -641,12 +2031,16 @@ app.get('/admin', adminAuth, (_req, res) => {
 //header
 <h1>Freezer Admin</h1>
 // div for edit bounds
-<div class="hint">Edit per-device bounds. Leave blank to use global env (${LOWER}…${UPPER} °C). Use Global Settings to set email recipients and/or Discord webhook.</div>
+<div class="hint">Edit per-device bounds. Leave blank to use global env (${LOWER}…${UPPER} °C). Use Global Settings to set email recipients and/or Discord webhook, or the <a id="oncallLink" href="/admin/oncall">on-call schedule</a> to send email alerts to whoever is on call.</div>
 <div id="root">Loading…</div>
 <script>
 // javascript for website
 // token set to new url object ored with none
 const token = new URLSearchParams(location.search).get('token') || '';
+document.getElementById('oncallLink').href = '/admin/oncall'+(token?('?token='+encodeURIComponent(token)) : '');
+
+// alert manager state keyed like the server's stateKey (id or id#channel)
+let states = {};
 
 // set q function to ternary statement
 function q(v){ return v==null ? '' : v; }
@@ -654,14 +2048,26 @@ function q(v){ return v==null ? '' : v; }
 // load function 
 async function load(){
 // set promise to fetch
-  const [devRes, cfgRes] = await Promise.all([
+  const [devRes, cfgRes, qRes, stRes, evRes, grRes, obRes] = await Promise.all([
     fetch('/devices'+(token?('?token='+encodeURIComponent(token)) : '')),
-    fetch('/config'+(token?('?token='+encodeURIComponent(token)) : ''))
+    fetch('/config'+(token?('?token='+encodeURIComponent(token)) : '')),
+    fetch('/quarantine?limit=50'+(token?('&token='+encodeURIComponent(token)) : '')),
+    fetch('/status'+(token?('?token='+encodeURIComponent(token)) : '')),
+    fetch('/events?limit=50'+(token?('&token='+encodeURIComponent(token)) : '')),
+    fetch('/groups'+(token?('?token='+encodeURIComponent(token)) : '')),
+    fetch('/outbox'+(token?('?token='+encodeURIComponent(token)) : ''))
   ]);
 
   // await for following
   const dev = await devRes.json();
   const cfg = await cfgRes.json();
+  const quar = await qRes.json();
+  const evs = await evRes.json();
+  const groups = (await grRes.json()).groups || {};
+  const ob = await obRes.json();
+  // alert state per device / probe channel, for the Alert column
+  states = {};
+  for (const st of (await stRes.json()).devices || []) states[st.id + (st.channel ? '#'+st.channel : '')] = st;
   const c = cfg.config || {};
 
   // set el to documet get element by id
@@ -672,12 +2078,12 @@ async function load(){
     <h2 style="margin:0 0 8px 0">Global Settings</h2>
     <form id="globalForm" onsubmit="return saveConfig(event)">
       <div class="warn" id="alerts_warning" style="display:\${c.alerts_enabled ? 'none':'block'}">
-        Alerts are <b>disabled</b>. No email or Discord messages will be sent until you enable them and set recipients.
+        Alerts are <b>disabled</b>. No notifications will be sent until you enable them and set recipients.
       </div>
       <div style="margin:8px 0">
         <label style="display:inline-flex; gap:8px; align-items:center;">
           <input type="checkbox" name="alerts_enabled" id="alerts_enabled" \${c.alerts_enabled ? 'checked':''}>
-          Enable alerts (Email + Discord)
+          Enable alerts (all channels)
         </label>
         // action buttons to interface over the following check boxes
         <label style="display:inline-flex; gap:8px; align-items:center; margin-left:16px;">
@@ -688,18 +2094,76 @@ async function load(){
           <input type="checkbox" name="discord_enabled" id="discord_enabled" \${c.discord_enabled ? 'checked':''}>
           Discord channel
         </label>
+        \${(c.notify_channels || []).map(ch => '<label style="display:inline-flex; gap:8px; align-items:center; margin-left:16px;" title="'+esc(ch.type)+'"><input type="checkbox" '+(ch.enabled ? 'checked' : '')+' onchange="toggleChannel('+esc(JSON.stringify(ch.id))+', this.checked)"> '+esc(ch.name)+'</label>').join('')}
+        <label style="display:inline-flex; gap:8px; align-items:center; margin-left:16px;">
+          <input type="checkbox" name="global_api_key_enabled" id="global_api_key_enabled" \${c.global_api_key_enabled !== false ? 'checked':''}>
+          Accept shared API_KEY (migration fallback)
+        </label>
+        <label style="display:inline-flex; gap:8px; align-items:center; margin-left:16px;">
+          <input type="checkbox" name="quarantine_alerts_enabled" id="quarantine_alerts_enabled" \${c.quarantine_alerts_enabled !== false ? 'checked':''}>
+          Alert on rejected-reading bursts
+        </label>
 
       </div>
       <div style="display:flex;gap:8px;flex-wrap:wrap">
       // actionlisteners for lower and upper bounds
         <label>Default Lower (°C): <input name="lowerC" type="number" step="0.1" value="\${q(c.lowerC)}"></label>
         <label>Default Upper (°C): <input name="upperC" type="number" step="0.1" value="\${q(c.upperC)}"></label>
+        <label>Warning below (°C): <input name="warnLowerC" type="number" step="0.1" placeholder="\${q(c.lowerC ?? ${LOWER})}" value="\${q(c.warnLowerC)}"></label>
+        <label>Warning above (°C): <input name="warnUpperC" type="number" step="0.1" placeholder="\${q(c.upperC ?? ${UPPER})}" value="\${q(c.warnUpperC)}"></label>
+        <label>Alert after (min out of range): <input name="alertDelayMin" type="number" step="1" min="0" placeholder="${ALERT_DELAY_MIN}" value="\${q(c.alertDelayMin)}"></label>
+        <label>Recover hysteresis (°C): <input name="hysteresisC" type="number" step="0.1" min="0" placeholder="${HYSTERESIS_C}" value="\${q(c.hysteresisC)}"></label>
+        <label>Trend alert above (°C/h, 0 = off): <input name="trendRateCPerH" type="number" step="0.1" min="0" placeholder="${TREND_RATE_C_PER_H}" value="\${q(c.trendRateCPerH)}"></label>
+        <label>Predict crossing within (min, 0 = off): <input name="trendHorizonMin" type="number" step="1" min="0" placeholder="${TREND_HORIZON_MIN}" value="\${q(c.trendHorizonMin)}"></label>
+        <label>Re-alert acknowledged if worse by (°C): <input name="ack_worsen_margin_c" type="number" step="0.1" min="0" placeholder="2" value="\${q(c.ack_worsen_margin_c)}"></label>
+        <label title="events arriving within this many seconds go out as one email / Discord post; critical alerts are never held">Batch events within (s, 0 = off): <input name="coalesce_sec" type="number" step="1" min="0" max="600" placeholder="${COALESCE_SEC}" value="\${q(c.coalesce_sec)}"></label>
         <label>Alert To (comma-separated emails): <input name="alert_to_email" placeholder="e.g. alice@example.com,bob@lab.org" value="\${q(c.alert_to_email)}"></label>
+        <label title="tried in order; the next one only if the previous is unconfigured or fails">Email providers (smtp, resend, sendgrid): <input name="email_providers" placeholder="${EMAIL_PROVIDER}" value="\${q((c.email_providers || []).join(','))}"></label>
       </div>
       // for input text boxes
       <div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap">
         <label>Discord Webhook URL: <input name="discord_webhook_url" style="min-width:420px" placeholder="https://discord.com/api/webhooks/..." value="\${q(c.discord_webhook_url)}"></label>
       </div>
+      <div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap">
+        <label title="channel ids, comma separated; blank = all channels">Warnings go to: <input name="sev_warning" placeholder="all channels, e.g. discord" value="\${q(c.severity_channels?.warning?.join(','))}"></label>
+        <label title="channel ids, comma separated; blank = all channels">Critical goes to: <input name="sev_critical" placeholder="all channels, e.g. email,discord" value="\${q(c.severity_channels?.critical?.join(','))}"></label>
+      </div>
+      <div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap">
+        <label>Keep raw readings (days, 0 = forever): <input name="retention_raw_days" type="number" min="0" value="\${q(c.retention_raw_days)}"></label>
+        <label>Keep 5-min rollups (days): <input name="retention_5m_days" type="number" min="0" value="\${q(c.retention_5m_days)}"></label>
+        <label>Keep hourly rollups (days): <input name="retention_1h_days" type="number" min="0" value="\${q(c.retention_1h_days)}"></label>
+        <label>Keep alert history (days): <input name="retention_events_days" type="number" min="0" value="\${q(c.retention_events_days)}"></label>
+      </div>
+      <div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap;align-items:center">
+        <label style="display:inline-flex; gap:8px; align-items:center;">
+          <input type="checkbox" id="digest_enabled" \${c.digest_enabled ? 'checked':''}>
+          Digest report
+        </label>
+        <label><select name="digest_period">\${['daily','weekly'].map(p => '<option'+((c.digest_period || 'daily') === p ? ' selected' : '')+'>'+p+'</option>').join('')}</select></label>
+        <label>at <input name="digest_time" type="time" value="\${q(c.digest_time || '07:00')}"></label>
+        <label title="weekly digests only">on <select name="digest_weekday">\${${JSON.stringify(WEEKDAYS)}.map(d => '<option'+((c.digest_weekday || 'mon') === d ? ' selected' : '')+'>'+d+'</option>').join('')}</select></label>
+        <label>to <input name="digest_to" placeholder="alert recipients" value="\${q(c.digest_to)}"></label>
+        <label style="display:inline-flex; gap:8px; align-items:center;">
+          <input type="checkbox" id="digest_discord" \${c.digest_discord ? 'checked':''}>
+          also to Discord
+        </label>
+        <button type="button" onclick="sendDigest()">Send digest now</button>
+      </div>
+      <details style="margin-top:8px">
+        <summary>Sensor status bits (sr_maps)</summary>
+        <div class="hint">Overrides per sensor type (${sensorTypes().join(', ')}), e.g. {"max31856":{"2":{"name":"TC low","level":"warning"}}}. Level "warning" shows the bit without alerting.</div>
+        <textarea name="sr_maps" rows="4" style="width:100%;font-family:monospace">\${c.sr_maps ? JSON.stringify(c.sr_maps) : ''}</textarea>
+      </details>
+      <details style="margin-top:8px">
+        <summary>More notification channels (\${(c.notify_channels || []).length} configured)</summary>
+        <div class="hint">JSON list of channels, each {"id","type","name","enabled", …fields}. Types and fields (* = required): ${Object.entries(channelSchemas()).map(([t, sc]) => `${t}: ${Object.entries(sc.fields).map(([f, spec]) => spec.required ? `${f}*` : f).join(', ')}`).join(' · ')}. E.g. [{"id":"slack-lab","type":"slack","webhook_url":"https://hooks.slack.com/services/..."},{"id":"phones","type":"ntfy","topic":"lab-freezers"}]. Webhook bodies are signed: X-Signature = sha256=HMAC(secret, "&lt;X-Timestamp&gt;.&lt;body&gt;").</div>
+        <textarea name="notify_channels" rows="4" style="width:100%;font-family:monospace">\${c.notify_channels?.length ? JSON.stringify(c.notify_channels) : ''}</textarea>
+      </details>
+      <details style="margin-top:8px">
+        <summary>Escalation chain (\${(c.escalation || []).length} level(s) after the alert recipients)</summary>
+        <div class="hint">Who to notify if an alert or sensor fault is still unresolved, e.g. [{"name":"Lab manager","after_min":30,"emails":"boss@lab.org"},{"name":"Facilities","after_min":60,"emails":"fm@lab.org","discord_webhook_url":"https://..."}]. Resets when the reading recovers. Devices can override it (Escalation button).</div>
+        <textarea name="escalation" rows="4" style="width:100%;font-family:monospace">\${c.escalation?.length ? JSON.stringify(c.escalation) : ''}</textarea>
+      </details>
       <div style="margin-top:10px; display:flex; gap:8px; flex-wrap:wrap">
         <button>Save</button>
         <button type="button" onclick="testAlert()">Send Test Alert</button>
@@ -707,12 +2171,13 @@ async function load(){
       </div>
     </form>
   </section>
+  <datalist id="sensor_types">${sensorTypes().map(t => `<option value="${t}">`).join('')}</datalist>
   <table>
-    <tr><th>ID</th><th>Name</th><th>Last Temp</th><th>Bounds</th><th>Edit</th></tr>
+    <tr><th>ID</th><th>Name</th><th>Last Temp</th><th>Bounds</th><th>Alert</th><th>Sensor</th><th>Ingest Key</th><th>Edit</th></tr>
     \${dev.devices.map(d=>{
 
       // set following values to ship across the internet to server
-      const last = d.latest ? \`\${d.latest.temp_c}°C @ \${d.latest.ts}\` : '—';
+      const last = chNames(d).length ? 'see probes ↓' : d.latest ? \`\${d.latest.temp_c}°C @ \${d.latest.ts}\` : '—';
       const lo = (d.cfg && d.cfg.lowerC!=null)? d.cfg.lowerC : '${LOWER}';
       const hi = (d.cfg && d.cfg.upperC!=null)? d.cfg.upperC : '${UPPER}';
       const name = d.cfg?.name || '';
@@ -722,6 +2187,13 @@ async function load(){
           <td>\${name}</td>
           <td>\${last}</td>
           <td>\${lo}…\${hi}</td>
+          <td>\${alertCell(d.id, null, d.suppressed)}</td>
+          <td>\${sensorCell(d)}</td>
+          <td>
+            \${d.credential?.revoked_at ? '<i>revoked</i>' : d.credential ? '…'+d.credential.hint : '<i>shared</i>'}
+            <button type="button" class="pill" onclick="issueKey('\${d.id}', \${!!d.credential && !d.credential.revoked_at})">\${d.credential && !d.credential.revoked_at ? 'Rotate' : 'Issue'}</button>
+            \${d.credential && !d.credential.revoked_at ? \`<button type="button" class="pill" onclick="revokeKey('\${d.id}')">Revoke</button>\` : ''}
+          </td>
           <td>
 
           // submit button to save and for lower and upper bound and multiple fields
@@ -729,15 +2201,230 @@ async function load(){
               <input name="name" placeholder="name" value="\${name}">
               <input name="lowerC" type="number" step="0.1" placeholder="lower" value="\${d.cfg?.lowerC ?? ''}">
               <input name="upperC" type="number" step="0.1" placeholder="upper" value="\${d.cfg?.upperC ?? ''}">
+              <input name="warnLowerC" type="number" step="0.1" placeholder="warn <" title="warning below this (inside the lower bound)" style="width:5em" value="\${d.cfg?.warnLowerC ?? ''}">
+              <input name="warnUpperC" type="number" step="0.1" placeholder="warn >" title="warning above this (inside the upper bound)" style="width:5em" value="\${d.cfg?.warnUpperC ?? ''}">
+              <input name="alertDelayMin" type="number" step="1" min="0" placeholder="delay min" title="minutes out of range before alerting" style="width:6em" value="\${d.cfg?.alertDelayMin ?? ''}">
+              <input name="hysteresisC" type="number" step="0.1" min="0" placeholder="hyst °C" title="°C back inside the bounds before recovering" style="width:6em" value="\${d.cfg?.hysteresisC ?? ''}">
+              <input name="trendRateCPerH" type="number" step="0.1" min="0" placeholder="°C/h" title="trend alert when warming faster than this (0 = off)" style="width:5em" value="\${d.cfg?.trendRateCPerH ?? ''}">
+              <input name="trendHorizonMin" type="number" step="1" min="0" placeholder="eta min" title="trend alert when projected to cross the upper bound within this many minutes (0 = off)" style="width:5em" value="\${d.cfg?.trendHorizonMin ?? ''}">
+              <input name="sensor_type" placeholder="sensor type" list="sensor_types" size="10" value="\${d.cfg?.sensor_type ?? ''}">
               <button>Save</button>
               <a class="pill" href="/export.csv?device_id=\${encodeURIComponent(d.id)}\${token?('&token='+encodeURIComponent(token)) : ''}">Export CSV</a>
               //button
               <button type="button" class="pill" onclick="resetDevice('\${d.id}')">Reset</button>
+              <button type="button" class="pill" onclick="snoozeDevice(\${esc(JSON.stringify(d.id))})">Snooze</button>
+              <button type="button" class="pill" onclick="editWindows(\${esc(JSON.stringify(d.id))})">Maintenance\${d.cfg?.maintenance?.length ? ' ('+d.cfg.maintenance.length+')' : ''}</button>
+              <button type="button" class="pill" onclick="editEscalation(\${esc(JSON.stringify(d.id))}, \${esc(JSON.stringify(JSON.stringify(d.cfg?.escalation ?? null)))})">Escalation\${Array.isArray(d.cfg?.escalation) ? ' (custom)' : ''}</button>
+              <button type="button" class="pill" onclick="editRouting(\${esc(JSON.stringify(d.id))}, \${esc(JSON.stringify(d.cfg?.group || ''))}, \${esc(JSON.stringify(JSON.stringify(d.cfg?.routing || {})))})">Routing\${d.cfg?.group ? ' ('+esc(groups[d.cfg.group]?.name || d.cfg.group)+')' : ''}\${d.cfg?.routing ? ' *' : ''}</button>
             </form>
           </td>
-        </tr>\`;
+        </tr>\${channelRows(d, lo, hi)}\`;
     }).join('')}
-  </table>\`;
+  </table>
+  \${groupsSection(groups)}
+  \${timelineSection(evs)}
+  \${outboxSection(ob)}
+  \${quarantineSection(quar)}\`;
+}
+
+// device groups with their recipients / webhook / channel switches
+function groupsSection(groups){
+  const rows = Object.entries(groups).map(([id, g]) => {
+    const r = g.routing || {};
+    const sw = Object.entries(r.notify || {}).map(([ch, on]) => esc(ch)+(on ? ' on' : ' off')).join(', ');
+    return '<tr><td>'+esc(g.name)+' <span class="hint">('+esc(id)+')</span></td><td>'+esc(r.alert_to_email || '—')+'</td><td>'+(r.discord_webhook_url ? 'own webhook' : '—')+(r.discord_thread_id ? ' · thread '+esc(r.discord_thread_id) : '')+'</td><td>'+(sw || '—')+'</td><td>'+esc(g.devices.join(', ') || '—')+'</td>'
+      +'<td><button type="button" class="pill" onclick="editGroup('+esc(JSON.stringify(id))+')">Edit</button> <button type="button" class="pill" onclick="deleteGroup('+esc(JSON.stringify(id))+')">Delete</button></td></tr>';
+  }).join('');
+  return \`
+  <section style="margin:16px 0;padding:12px;border:1px solid var(--b);border-radius:8px">
+    <h2 style="margin:0 0 8px 0">Device groups</h2>
+    <div class="hint">Devices in a group notify the group's recipients instead of the global ones; a device's own Routing settings win over its group. Channel switches turn individual notification channels (email, discord, or ids from "More notification channels") on or off.</div>
+    \${rows ? '<table><tr><th>Group</th><th>Email to</th><th>Discord</th><th>Channels</th><th>Devices</th><th></th></tr>'+rows+'</table>' : '<i>No groups yet.</i>'}
+    <div style="margin-top:8px"><button type="button" class="pill" onclick="editGroup()">Add group</button></div>
+  </section>\`;
+}
+
+// newest alert events with what happened to each delivery
+function timelineSection(evs){
+  const rows = (evs.events || []).map(e => {
+    const temp = typeof e.temp_c === 'number' ? e.temp_c+'°C' : '';
+    const bounds = e.lower != null ? e.lower+'…'+e.upper : '';
+    const sent = e.suppressed
+      ? '<i>held back: '+esc(e.suppressed)+'</i>'
+      : e.deliveries.map(d => {
+          const color = d.result === 'ok' ? '#070' : d.result === 'failed' ? '#b00' : d.result === 'queued' ? '#a60' : d.result === 'batched' ? '#36c' : d.result === 'held' ? '#639' : '#777';
+          const failover = (d.attempts || []).map(a => a.provider+' '+(a.reason || a.status || 'failed')).join(', ');
+          const why = [d.status, d.reason, d.to && d.to.join(', '), failover && 'tried: '+failover].filter(Boolean).join(' · ');
+          return '<span class="pill" style="color:'+color+'" title="'+esc(why)+'">'+esc(d.via)+(d.provider ? ' ('+esc(d.provider)+')' : '')+': '+esc(d.result)+'</span>';
+        }).join(' ');
+    return '<tr><td>'+esc(new Date(e.ts).toLocaleString())+'</td><td>'+esc(e.device_id)+(e.channel ? ' · '+esc(e.channel) : '')+'</td><td>'+esc(e.kind)+'</td><td>'+temp+'</td><td>'+bounds+'</td><td>'+sent+'</td></tr>';
+  }).join('');
+  return \`
+  <section style="margin:16px 0;padding:12px;border:1px solid var(--b);border-radius:8px">
+    <h2 style="margin:0 0 8px 0">Alert timeline</h2>
+    <div class="hint">Newest 50 events of the last 7 days (full history: /events). Hover a delivery for details.</div>
+    \${rows ? '<table><tr><th>When</th><th>Device</th><th>Event</th><th>Temp</th><th>Bounds</th><th>Delivery</th></tr>'+rows+'</table>' : '<i>No events yet.</i>'}
+  </section>\`;
+}
+
+// notifications waiting for a retry, and the ones the outbox gave up on
+function outboxSection(ob){
+  const row = (j, dead) => '<tr><td>'+esc(new Date(j.created_at).toLocaleString())+'</td><td>'+esc(j.device)+'</td><td>'+esc(j.kind)+(j.severity ? ' ('+esc(j.severity)+')' : '')+'</td>'
+    +'<td>'+esc(j.name || j.via)+'</td><td>'+j.attempts+'</td><td>'+esc(dead ? 'gave up '+new Date(j.dead_at).toLocaleString() : 'next '+new Date(j.next_at).toLocaleString())+'</td>'
+    +'<td>'+esc(j.last_error)+'</td><td><button type="button" onclick="retryDelivery('+esc(JSON.stringify(j.id))+')">Retry</button> <button type="button" onclick="dropDelivery('+esc(JSON.stringify(j.id))+')">Drop</button></td></tr>';
+  const pending = (ob.pending || []).map(j => row(j, false)).join('');
+  const dead = (ob.dead || []).map(j => row(j, true)).join('');
+  const head = '<tr><th>Queued</th><th>Device</th><th>Event</th><th>Channel</th><th>Attempts</th><th>When</th><th>Last error</th><th></th></tr>';
+  return \`
+  <section style="margin:16px 0;padding:12px;border:1px solid var(--b);border-radius:8px">
+    <h2 style="margin:0 0 8px 0">Outbox \${dead ? '<button type="button" class="pill" onclick="retryAllDeliveries()">Retry all failed</button>' : ''}</h2>
+    <div class="hint">Notifications that didn't go through are retried with increasing delays; after the retry window they land under Failed.</div>
+    <h3>Pending (\${(ob.pending || []).length})</h3>
+    \${pending ? '<table>'+head+pending+'</table>' : '<i>Nothing waiting.</i>'}
+    <h3>Failed (\${(ob.dead || []).length})</h3>
+    \${dead ? '<table>'+head+dead+'</table>' : '<i>No failed deliveries.</i>'}
+  </section>\`;
+}
+
+// send one queued / failed notification again now
+async function retryDelivery(id){
+  const r = await fetch('/outbox/'+encodeURIComponent(id)+'/retry'+(token?('?token='+encodeURIComponent(token)) : ''), { method:'POST' });
+  if (!r.ok) { alert('Retry failed: '+await r.text()); return; }
+  const d = await r.json();
+  alert(d.ok ? 'Delivered.' : d.skipped ? 'Skipped: '+d.reason : 'Still failing: '+(d.reason || d.status || 'error'));
+  load();
+}
+
+// requeue every failed notification
+async function retryAllDeliveries(){
+  const r = await fetch('/outbox/retry'+(token?('?token='+encodeURIComponent(token)) : ''), { method:'POST' });
+  if (!r.ok) { alert('Retry failed: '+await r.text()); return; }
+  load();
+}
+
+// remove a notification from the outbox
+async function dropDelivery(id){
+  if (!confirm('Drop this notification? It will not be sent.')) return;
+  const r = await fetch('/outbox/'+encodeURIComponent(id)+(token?('?token='+encodeURIComponent(token)) : ''), { method:'DELETE' });
+  if (!r.ok) { alert('Drop failed: '+await r.text()); return; }
+  load();
+}
+
+// escape text for innerHTML (quarantined payloads are whatever a device sent)
+function esc(v){
+  return String(v ?? '').replace(/[&<>"']/g, ch => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[ch]));
+}
+
+// rejected / suspicious ingest payloads: counters per device, then the newest entries
+function quarantineSection(quar){
+  const counts = Object.entries(quar.counts || {});
+  const entries = quar.entries || [];
+  return \`
+  <section style="margin:16px 0;padding:12px;border:1px solid var(--b);border-radius:8px">
+    <h2 style="margin:0 0 8px 0">Quarantine <button type="button" class="pill" onclick="clearQuarantine()">Clear</button></h2>
+    <div class="hint">Rejected or suspicious ingest payloads (newest 50). "stored" means the reading was kept with a correction.</div>
+    \${counts.length ? \`<div>\${counts.map(([id, c]) =>
+      \`<span class="pill" title="\${esc(Object.entries(c.by_reason).map(([r, n]) => r+': '+n).join(', '))}">\${esc(id)}: \${c.total}</span>\`).join(' ')}</div>\` : ''}
+    \${entries.length ? \`<table>
+      <tr><th>When</th><th>Device</th><th>Reason</th><th>Detail</th><th>Source</th><th>Action</th><th>Payload</th></tr>
+      \${entries.map(e => \`<tr>
+        <td>\${esc(e.at)}</td><td>\${esc(e.device_id)}</td><td>\${esc(e.reason)}</td><td>\${esc(e.detail)}</td>
+        <td>\${esc(e.source)}</td><td>\${esc(e.action)}</td><td><code>\${esc(e.payload)}</code></td>
+      </tr>\`).join('')}
+    </table>\` : '<i>Nothing quarantined.</i>'}
+  </section>\`;
+}
+
+// empty the quarantine log
+async function clearQuarantine(){
+  if (!confirm('Clear the quarantine log?')) return;
+  const r = await fetch('/quarantine'+(token?('?token='+encodeURIComponent(token)) : ''), { method:'DELETE' });
+  if (!r.ok) { alert('Clear failed: '+await r.text()); return; }
+  load();
+}
+
+// probe channel names of a device (reported or configured)
+function chNames(d){
+  return [...new Set([...Object.keys(d.channels || {}), ...Object.keys(d.cfg?.channels || {})])].sort();
+}
+
+// one indented row per probe channel under its physical device
+function channelRows(d, devLo, devHi){
+  return chNames(d).map(ch => {
+    const c = d.cfg?.channels?.[ch] || {};
+    const r = d.channels?.[ch];
+    const last = r ? \`\${r.temp_c}°C @ \${r.ts}\` : '—';
+    return \`
+      <tr style="background:#fafafa">
+        <td>&nbsp;&nbsp;↳ \${ch}</td>
+        <td>\${c.name || ''}</td>
+        <td>\${last}</td>
+        <td>\${c.lowerC ?? devLo}…\${c.upperC ?? devHi}</td>
+        <td>\${alertCell(d.id, ch)}</td>
+        <td></td>
+        <td></td>
+        <td>
+          <form onsubmit="return saveChannel(event,'\${d.id}','\${ch}')">
+            <input name="name" placeholder="probe name" value="\${c.name || ''}">
+            <input name="lowerC" type="number" step="0.1" placeholder="lower" value="\${c.lowerC ?? ''}">
+            <input name="upperC" type="number" step="0.1" placeholder="upper" value="\${c.upperC ?? ''}">
+            <input name="warnLowerC" type="number" step="0.1" placeholder="warn <" style="width:5em" value="\${c.warnLowerC ?? ''}">
+            <input name="warnUpperC" type="number" step="0.1" placeholder="warn >" style="width:5em" value="\${c.warnUpperC ?? ''}">
+            <button>Save</button>
+            <a class="pill" href="/export.csv?device_id=\${encodeURIComponent(d.id)}&channel=\${encodeURIComponent(ch)}\${token?('&token='+encodeURIComponent(token)) : ''}">CSV</a>
+          </form>
+        </td>
+      </tr>\`;
+  }).join('');
+}
+
+// save one probe channel's name/bounds (blank bounds fall back to the device)
+async function saveChannel(ev,id,ch){
+  ev.preventDefault();
+  const f=new FormData(ev.target);
+  const c={ name: f.get('name') };
+  for (const k of ['lowerC','upperC','warnLowerC','warnUpperC']) c[k] = f.get(k)==='' ? null : Number(f.get(k));
+  const r=await fetch('/devices/'+encodeURIComponent(id)+(token?('?token='+encodeURIComponent(token)):''),{
+    method:'PUT',headers:{'Content-Type':'application/json'},body:JSON.stringify({ channels: { [ch]: c } })
+  });
+  if(!r.ok){alert('Save failed: '+await r.text());return false;}
+  load(); return false;
+}
+
+// alert status of a device/probe, with an Ack button while it's out of range or faulted
+// (sup: the device's snooze / maintenance window, shown on the device row)
+function alertCell(id, ch, sup){
+  const paused = sup ? '<div><small>🛠️ '+esc(sup.reason)+' until '+esc(new Date(sup.until).toLocaleString())+'</small></div>' : '';
+  return alertState(id, ch) + paused;
+}
+function alertState(id, ch){
+  const st = states[id + (ch ? '#'+ch : '')];
+  if (!st) return '—';
+  if (!['warning', 'critical', 'fault'].includes(st.status)) return esc(st.status);
+  const label = '<b style="color:'+(st.status === 'warning' ? '#a60' : '#b00')+'">'+esc(st.status)+'</b>';
+  if (st.ack) return label+' <small>acked by '+esc(st.ack.by)+' @ '+esc(st.ack.at)+'</small>';
+  return label+' <button type="button" class="pill" onclick="ackAlert('+esc(JSON.stringify(id))+','+esc(JSON.stringify(ch || null))+')">Ack</button>';
+}
+
+// acknowledge an open alert; the name is remembered in this browser
+async function ackAlert(id, ch){
+  const by = prompt('Acknowledge '+id+(ch ? ' · '+ch : '')+' as:', localStorage.getItem('ack_by') || '');
+  if (!by) return;
+  localStorage.setItem('ack_by', by);
+  const r = await fetch('/devices/'+encodeURIComponent(id)+'/ack'+(token?('?token='+encodeURIComponent(token)):''),{
+    method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({ channel: ch || undefined, by })
+  });
+  if (!r.ok) { alert('Ack failed: '+await r.text()); return; }
+  load();
+}
+
+// decoded sensor status bits for the table
+function sensorCell(d){
+  const s = d.sensor;
+  if (!s) return '—';
+  const parts = s.faults.map(f => '<b style="color:#b00">'+f+'</b>')
+    .concat(s.warnings.map(w => '<span style="color:#a60">'+w+'</span>'));
+  return (parts.length ? parts.join(', ') : 'ok') + ' <small>('+s.type+')</small>';
 }
 
 // save device function
@@ -751,7 +2438,9 @@ async function saveDevice(ev,id){
   // for loop to iterate through entries
   for(const [k,v] of f.entries()){
     if(k==='lowerC'||k==='upperC'){ if(v!=='') body[k]=Number(v); }
-    else if(k==='name'){ body[k]=v; }
+    // blank delay/hysteresis/trend settings go back to the global default
+    else if(['warnLowerC','warnUpperC','alertDelayMin','hysteresisC','trendRateCPerH','trendHorizonMin'].includes(k)){ body[k] = v==='' ? null : Number(v); }
+    else if(k==='name' || k==='sensor_type'){ body[k]=v; }
   }
     // set r to fetch
   const r=await fetch('/devices/'+encodeURIComponent(id)+(token?('?token='+encodeURIComponent(token)):''),{
@@ -774,12 +2463,24 @@ async function saveConfig(ev){
   body.alerts_enabled = !!document.getElementById('alerts_enabled')?.checked;
   body.email_enabled   = !!document.getElementById('email_enabled')?.checked;
   body.discord_enabled = !!document.getElementById('discord_enabled')?.checked;
+  body.global_api_key_enabled = !!document.getElementById('global_api_key_enabled')?.checked;
+  body.quarantine_alerts_enabled = !!document.getElementById('quarantine_alerts_enabled')?.checked;
+  body.digest_enabled = !!document.getElementById('digest_enabled')?.checked;
+  body.digest_discord = !!document.getElementById('digest_discord')?.checked;
   // set for loop to iterate through f entries
   for (const [k,v] of f.entries()) {
   // if statements to go continue and else to set body[k] to v
-    if (k==='alerts_enabled' || k==='email_enabled' || k==='discord_enabled') continue; // handled above
+    if (k==='alerts_enabled' || k==='email_enabled' || k==='discord_enabled' || k==='global_api_key_enabled' || k==='quarantine_alerts_enabled') continue; // handled above
+    // an emptied chain textarea clears the chain
+    if (k==='escalation' || k==='notify_channels' || k==='digest_to' || k==='email_providers') { body[k] = v; continue; }
+    // an emptied sr_maps textarea removes the overrides
+    if (k==='sr_maps') { body[k] = v.trim() ? v : null; continue; }
+    // a blanked warning band goes back to the default (none)
+    if ((k==='warnLowerC' || k==='warnUpperC') && v === '') { body[k] = null; continue; }
+    // per-severity channel lists (blank = every channel)
+    if (k==='sev_warning' || k==='sev_critical') { (body.severity_channels ||= {})[k.slice(4)] = v.trim() || null; continue; }
     if (v === '') continue;
-    if (k==='lowerC' || k==='upperC' || k==='discord_min_gap_sec') body[k] = Number(v);
+    if (k==='lowerC' || k==='upperC' || k==='warnLowerC' || k==='warnUpperC' || k==='alertDelayMin' || k==='hysteresisC' || k==='trendRateCPerH' || k==='trendHorizonMin' || k==='discord_min_gap_sec' || k==='ack_worsen_margin_c' || k==='coalesce_sec' || k.startsWith('retention_')) body[k] = Number(v);
     //else set body index to be v
     else body[k] = v;
   }
@@ -793,6 +2494,28 @@ async function saveConfig(ev){
   return false;
 }
 
+// send a digest right away (period from the form, saved or not)
+async function sendDigest(){
+  const qs = token ? ('&token='+encodeURIComponent(token)) : '';
+  const period = document.querySelector('select[name=digest_period]')?.value || 'daily';
+  const r = await fetch('/digest/send?period='+period+qs, { method:'POST' });
+  if (!r.ok) { alert('Digest failed: '+await r.text()); return; }
+  const j = await r.json();
+  alert('Digest ('+period+'): '+j.deliveries.map(d => d.via+' '+(d.ok ? 'sent' : d.queued ? 'failed for now, retrying ('+(d.reason || d.status)+')' : (d.reason || d.status || 'failed'))).join(', '));
+}
+
+// enable / disable one of the extra notification channels
+async function toggleChannel(id, on){
+  const qs = token ? ('?token='+encodeURIComponent(token)) : '';
+  const c = (await (await fetch('/config'+qs)).json()).config || {};
+  const list = (c.notify_channels || []).map(ch => ch.id === id ? { ...ch, enabled: on } : ch);
+  const r = await fetch('/config'+qs, {
+    method:'PUT', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ notify_channels: list })
+  });
+  if (!r.ok) alert('Save failed: '+await r.text());
+  load();
+}
+
 // set reset config function
 async function resetConfig(){
 // check if confirm is false then return
@@ -814,6 +2537,106 @@ async function testAlert(){
   alert('Test alert queued. Check your phone/email and Discord.');
 }
 
+// issue or rotate a per-device ingest key; the secret is only shown this once
+async function issueKey(id, rotating){
+  if (rotating && !confirm('Rotate the key for '+id+'? The old key stops working immediately.')) return;
+  const r = await fetch('/devices/'+encodeURIComponent(id)+'/credentials'+(token?('?token='+encodeURIComponent(token)) : ''), { method:'POST' });
+  if (!r.ok) { alert('Key issue failed: '+await r.text()); return; }
+  const j = await r.json();
+  prompt('New ingest key for '+id+' (copy it now, it will not be shown again):', j.secret);
+  load();
+}
+
+// revoke a per-device ingest key
+async function revokeKey(id){
+  if (!confirm('Revoke the ingest key for '+id+'? The device cannot post again until a new key is issued.')) return;
+  const r = await fetch('/devices/'+encodeURIComponent(id)+'/credentials'+(token?('?token='+encodeURIComponent(token)) : ''), { method:'DELETE' });
+  if (!r.ok) { alert('Revoke failed: '+await r.text()); return; }
+  load();
+}
+
+// snooze a device's notifications for some hours (0 ends a snooze)
+async function snoozeDevice(id){
+  const v = prompt('Snooze notifications for '+id+' for how many hours? (0 ends the snooze)', '2');
+  if (v === null || v.trim() === '') return;
+  const r = await fetch('/devices/'+encodeURIComponent(id)+'/snooze'+(token?('?token='+encodeURIComponent(token)):''),{
+    method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({ hours: Number(v) })
+  });
+  if (!r.ok) { alert('Snooze failed: '+await r.text()); return; }
+  load();
+}
+
+// list / add / remove maintenance windows: type a window to add it, or -<id> to remove one
+async function editWindows(id){
+  const qs = token?('?token='+encodeURIComponent(token)):'';
+  const cur = await (await fetch('/devices/'+encodeURIComponent(id)+'/maintenance'+qs)).json();
+  const list = cur.windows.map(w => '['+w.id+'] '+w.spec+(w.note ? ' ('+w.note+')' : '')).join('\\n') || '(none)';
+  const v = prompt('Maintenance windows for '+id+' (server time):\\n'+list+'\\n\\nAdd one, e.g. "first monday 09:00-12:00", "mon,thu 14:00-15:00", "2026-11-02 08:00 - 2026-11-02 17:00", or type -<id> to remove:');
+  if (!v || !v.trim()) return;
+  const rm = /^-\\s*(\\w+)$/.exec(v.trim());
+  const r = rm
+    ? await fetch('/devices/'+encodeURIComponent(id)+'/maintenance/'+encodeURIComponent(rm[1])+qs, { method:'DELETE' })
+    : await fetch('/devices/'+encodeURIComponent(id)+'/maintenance'+qs, {
+        method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ spec: v.trim() })
+      });
+  if (!r.ok) { alert('Maintenance update failed: '+await r.text()); return; }
+  load();
+}
+
+// per-device escalation chain: JSON array, [] = never escalate, blank = use the global chain
+async function editEscalation(id, current){
+  const v = prompt('Escalation chain for '+id+' (JSON array; [] disables, blank uses the global chain):', current === 'null' ? '' : current);
+  if (v === null) return;
+  let escalation = null;
+  if (v.trim()) { try { escalation = JSON.parse(v); } catch { alert('Not valid JSON'); return; } }
+  const r = await fetch('/devices/'+encodeURIComponent(id)+(token?('?token='+encodeURIComponent(token)):''),{
+    method:'PUT',headers:{'Content-Type':'application/json'},body:JSON.stringify({ escalation })
+  });
+  if (!r.ok) { alert('Save failed: '+await r.text()); return; }
+  load();
+}
+
+// routing JSON shared by groups and devices
+const ROUTING_HINT = '{"alert_to_email":"a@lab.org","discord_webhook_url":"https://discord.com/api/webhooks/...","discord_thread_id":"","notify":{"slack-lab":true,"discord":false}}';
+
+async function editGroup(id){
+  const qs = token ? ('?token='+encodeURIComponent(token)) : '';
+  if (!id) { id = prompt('New group id (letters, digits, _ and -):', ''); if (!id) return; }
+  const g = (await (await fetch('/groups'+qs)).json()).groups?.[id] || {};
+  const name = prompt('Group name:', g.name || id);
+  if (name === null) return;
+  const v = prompt('Routing for group '+id+' (JSON, e.g. '+ROUTING_HINT+'; blank clears):', JSON.stringify(g.routing || {}));
+  if (v === null) return;
+  let routing = null;
+  if (v.trim()) { try { routing = JSON.parse(v); } catch { alert('Not valid JSON'); return; } }
+  const r = await fetch('/groups/'+encodeURIComponent(id)+qs,{
+    method:'PUT',headers:{'Content-Type':'application/json'},body:JSON.stringify({ name, routing })
+  });
+  if (!r.ok) { alert('Save failed: '+await r.text()); return; }
+  load();
+}
+
+async function deleteGroup(id){
+  if (!confirm('Delete group '+id+'? Its devices go back to the global recipients.')) return;
+  const r = await fetch('/groups/'+encodeURIComponent(id)+(token?('?token='+encodeURIComponent(token)):''), { method:'DELETE' });
+  if (!r.ok) { alert('Delete failed: '+await r.text()); return; }
+  load();
+}
+
+async function editRouting(id, group, current){
+  const g = prompt('Group for '+id+' (blank for none):', group);
+  if (g === null) return;
+  const v = prompt('Routing overrides for '+id+' (JSON, e.g. '+ROUTING_HINT+'; blank uses the group/global settings):', current === '{}' ? '' : current);
+  if (v === null) return;
+  let routing = null;
+  if (v.trim()) { try { routing = JSON.parse(v); } catch { alert('Not valid JSON'); return; } }
+  const r = await fetch('/devices/'+encodeURIComponent(id)+(token?('?token='+encodeURIComponent(token)):''),{
+    method:'PUT',headers:{'Content-Type':'application/json'},body:JSON.stringify({ group: g.trim(), routing })
+  });
+  if (!r.ok) { alert('Save failed: '+await r.text()); return; }
+  load();
+}
+
 //function reset device
 async function resetDevice(id){
 // if confirm false, r set to fetch token and method post
@@ -829,6 +2652,168 @@ load();
 </script>`);
 });
 
+// On-call admin page: who's on call now, people (contacts, quiet hours), rotations, overrides
+app.get('/admin/oncall', adminAuth, (_req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(`<!doctype html><meta charset="utf-8">
+<title>On-call schedule</title>
+<style>
+  :root{--b:#ddd;--t:#222;--m:24px}
+  body{font-family:system-ui,Segoe UI,Roboto,Apple Color Emoji,Noto Color Emoji;margin:var(--m);color:var(--t)}
+  input,select,button{padding:.45rem .6rem;font:inherit}
+  table{border-collapse:collapse;margin-top:12px;width:100%}
+  td,th{border:1px solid var(--b);padding:.45rem .6rem;text-align:left}
+  section{margin:16px 0;padding:12px;border:1px solid var(--b);border-radius:8px}
+  h2{margin:0 0 8px 0}
+  form{display:flex;gap:8px;flex-wrap:wrap;align-items:end;margin-top:12px}
+  .hint{color:#666;margin:.5rem 0}
+  .pill{display:inline-block;padding:.15rem .45rem;border-radius:999px;border:1px solid var(--b);font-size:.85rem;cursor:pointer}
+</style>
+<h1>On-call schedule</h1>
+<div class="hint"><a id="back" href="/admin">← Freezer Admin</a> · Email alerts go to whoever is on call (instead of the global Alert To list) once a rotation has people. Device and group recipients and escalation levels still win. Critical events always go out at once; other events wait for the end of the recipient's quiet hours. Times are server local time.</div>
+<div id="root">Loading…</div>
+<script>
+const token = new URLSearchParams(location.search).get('token') || '';
+const qs = token ? ('?token='+encodeURIComponent(token)) : '';
+document.getElementById('back').href = '/admin'+qs;
+let data = {};
+
+function esc(v){
+  return String(v ?? '').replace(/[&<>"']/g, ch => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[ch]));
+}
+function when(ms){ return new Date(ms).toLocaleString([], { weekday:'short', year:'numeric', month:'short', day:'numeric', hour:'2-digit', minute:'2-digit' }); }
+// ms -> value for <input type="datetime-local">
+function local(ms){ const d = new Date(ms); return new Date(ms - d.getTimezoneOffset()*60000).toISOString().slice(0,16); }
+function personName(id){ return data.people[id] ? data.people[id].name : id; }
+
+async function load(){
+  const r = await fetch('/oncall'+qs);
+  if (!r.ok) { document.getElementById('root').textContent = 'Load failed: '+await r.text(); return; }
+  data = await r.json();
+  const people = Object.entries(data.people);
+  const rotations = Object.entries(data.rotations);
+  const personOpts = people.map(([id, p]) => '<option value="'+esc(id)+'">'+esc(p.name)+'</option>').join('');
+  const rotationOpts = rotations.map(([id, r]) => '<option value="'+esc(id)+'">'+esc(r.name)+'</option>').join('');
+
+  document.getElementById('root').innerHTML =
+    '<section><h2>On call now</h2>'+
+      (data.now.length
+        ? '<table><tr><th>Rotation</th><th>Person</th><th>Contacts</th><th>Until</th></tr>'+data.now.map(n =>
+            '<tr><td>'+esc(n.rotation_name)+'</td><td><b>'+esc(n.name)+'</b>'+(n.override ? ' <span class="hint">(override)</span>' : '')+'</td><td>'+
+            esc((data.people[n.person].contacts || []).map(c => c.address+(c.type === 'sms' ? ' (SMS)' : '')).join(', ') || '—')+'</td><td>'+esc(when(n.until))+'</td></tr>').join('')+'</table>'
+        : '<div class="hint">Nobody is on call'+(data.active ? ' right now' : ' (no rotation has people yet)')+': email alerts go to the global Alert To list.</div>')+
+    '</section>'+
+
+    '<section><h2>People</h2>'+
+      (people.length ? '<table><tr><th>Id</th><th>Name</th><th>Email</th><th>SMS gateway</th><th>Quiet hours</th><th></th></tr>'+people.map(([id, p]) =>
+        '<tr><td>'+esc(id)+'</td><td>'+esc(p.name)+'</td><td>'+esc(p.contacts.filter(c => c.type === 'email').map(c => c.address).join(', ') || '—')+'</td><td>'+
+        esc(p.contacts.filter(c => c.type === 'sms').map(c => c.address).join(', ') || '—')+'</td><td>'+esc(p.quiet.map(w => w.spec).join('; ') || '—')+'</td><td>'+
+        '<button class="pill" onclick="editPerson('+esc(JSON.stringify(id))+')">Edit</button> <button class="pill" onclick="remove(\\'people\\', '+esc(JSON.stringify(id))+')">Delete</button></td></tr>').join('')+'</table>' : '<div class="hint">No people yet.</div>')+
+      '<form id="personForm" onsubmit="return savePerson(event)">'+
+        '<label>Id <input name="id" required pattern="[A-Za-z0-9_-]{1,40}" size="10"></label>'+
+        '<label>Name <input name="name" required></label>'+
+        '<label>Email <input name="email" placeholder="alice@lab.org"></label>'+
+        '<label>SMS gateway <input name="sms" placeholder="5551234567@vtext.com"></label>'+
+        '<label>Quiet hours <input name="quiet" size="28" placeholder="daily 22:00-07:00; sat,sun 20:00-09:00"></label>'+
+        '<button>Save person</button></form>'+
+    '</section>'+
+
+    '<section><h2>Rotations</h2>'+
+      (rotations.length ? '<table><tr><th>Id</th><th>Name</th><th>Order</th><th>First handover</th><th>Shift</th><th></th></tr>'+rotations.map(([id, r]) =>
+        '<tr><td>'+esc(id)+'</td><td>'+esc(r.name)+'</td><td>'+esc(r.people.map(personName).join(' → ') || '—')+'</td><td>'+esc(when(r.start_ms))+'</td><td>'+r.shift_days+' day(s)</td><td>'+
+        '<button class="pill" onclick="editRotation('+esc(JSON.stringify(id))+')">Edit</button> <button class="pill" onclick="remove(\\'rotations\\', '+esc(JSON.stringify(id))+')">Delete</button></td></tr>').join('')+'</table>' : '<div class="hint">No rotations yet.</div>')+
+      '<form id="rotationForm" onsubmit="return saveRotation(event)">'+
+        '<label>Id <input name="id" required pattern="[A-Za-z0-9_-]{1,40}" size="10"></label>'+
+        '<label>Name <input name="name" placeholder="Weekly freezer duty"></label>'+
+        '<label>People in order (ids) <input name="people" placeholder="alice,bob,carol"></label>'+
+        '<label>First handover <input name="start" type="datetime-local" required></label>'+
+        '<label>Shift (days) <input name="shift_days" type="number" min="1" max="28" value="7" size="4"></label>'+
+        '<button>Save rotation</button></form>'+
+    '</section>'+
+
+    '<section><h2>Overrides</h2>'+
+      (data.overrides.length ? '<table><tr><th>Rotation</th><th>Covered by</th><th>From</th><th>To</th><th>Note</th><th></th></tr>'+data.overrides.map(o =>
+        '<tr><td>'+esc(data.rotations[o.rotation] ? data.rotations[o.rotation].name : o.rotation)+'</td><td>'+esc(personName(o.person))+'</td><td>'+esc(when(o.from_ms))+'</td><td>'+esc(when(o.to_ms))+'</td><td>'+esc(o.note || '')+'</td><td>'+
+        '<button class="pill" onclick="remove(\\'overrides\\', '+esc(JSON.stringify(o.id))+')">Delete</button></td></tr>').join('')+'</table>' : '<div class="hint">No overrides.</div>')+
+      (rotations.length && people.length
+        ? '<form id="overrideForm" onsubmit="return saveOverride(event)">'+
+            '<label>Rotation <select name="rotation">'+rotationOpts+'</select></label>'+
+            '<label>Covered by <select name="person">'+personOpts+'</select></label>'+
+            '<label>From <input name="from" type="datetime-local" required></label>'+
+            '<label>To <input name="to" type="datetime-local" required></label>'+
+            '<label>Note <input name="note" placeholder="holiday swap"></label>'+
+            '<button>Add override</button></form>'
+        : '')+
+    '</section>';
+  document.querySelector('#rotationForm [name=start]').value = local(Date.now());
+}
+
+// PUT / POST a JSON body, reload on success
+async function send(method, url, body){
+  const r = await fetch(url+qs, { method, headers:{'Content-Type':'application/json'}, body: body ? JSON.stringify(body) : undefined });
+  if (!r.ok) { alert('Save failed: '+await r.text()); return false; }
+  load();
+  return true;
+}
+
+function list(v){ return String(v || '').split(',').map(s => s.trim()).filter(Boolean); }
+
+function savePerson(e){
+  e.preventDefault();
+  const f = new FormData(e.target);
+  const contacts = [
+    ...list(f.get('email')).map(address => ({ type:'email', address })),
+    ...list(f.get('sms')).map(address => ({ type:'sms', address })),
+  ];
+  send('PUT', '/oncall/people/'+encodeURIComponent(f.get('id')), { name: f.get('name'), contacts, quiet: f.get('quiet') });
+  return false;
+}
+
+function editPerson(id){
+  const p = data.people[id];
+  const f = document.getElementById('personForm');
+  f.elements.id.value = id;
+  f.elements.name.value = p.name;
+  f.elements.email.value = p.contacts.filter(c => c.type === 'email').map(c => c.address).join(', ');
+  f.elements.sms.value = p.contacts.filter(c => c.type === 'sms').map(c => c.address).join(', ');
+  f.elements.quiet.value = p.quiet.map(w => w.spec).join('; ');
+  f.scrollIntoView();
+}
+
+function saveRotation(e){
+  e.preventDefault();
+  const f = new FormData(e.target);
+  send('PUT', '/oncall/rotations/'+encodeURIComponent(f.get('id')), { name: f.get('name'), people: list(f.get('people')), start: f.get('start'), shift_days: Number(f.get('shift_days')) });
+  return false;
+}
+
+function editRotation(id){
+  const r = data.rotations[id];
+  const f = document.getElementById('rotationForm');
+  f.elements.id.value = id;
+  f.elements.name.value = r.name;
+  f.elements.people.value = r.people.join(',');
+  f.elements.start.value = local(r.start_ms);
+  f.elements.shift_days.value = r.shift_days;
+  f.scrollIntoView();
+}
+
+function saveOverride(e){
+  e.preventDefault();
+  const f = new FormData(e.target);
+  send('POST', '/oncall/overrides', { rotation: f.get('rotation'), person: f.get('person'), from: f.get('from'), to: f.get('to'), note: f.get('note') });
+  return false;
+}
+
+async function remove(kind, id){
+  if (!confirm('Delete '+(kind === 'overrides' ? 'this override' : id)+'?')) return;
+  send('DELETE', '/oncall/'+kind+'/'+encodeURIComponent(id));
+}
+
+load();
+</script>`);
+});
+
 // Error handler (minimal)
 app.use((err, _req, res, _next) => {
   // error handle
@@ -836,16 +2821,39 @@ app.use((err, _req, res, _next) => {
   res.status(code).json({ error: err?.message || 'internal_error' });
 });
 
+// MQTT ingest (optional): same pipeline as POST /ingest, enabled by MQTT_URL
+ready.then(() => startMqttIngest({
+  resolveAuth: resolveIngestAuth,
+  onReading: ingestOne,
+  onReject: (r) => quarantine.add({ ...r, source: 'mqtt' }),
+}));
+
 // display logs
 ready.then(() => {
   console.log(`Server listening on http://0.0.0.0:${PORT}`);
-  console.log(`Bounds: LOWER=${LOWER} UPPER=${UPPER}`);
+  console.log(`Bounds: LOWER=${LOWER} UPPER=${UPPER}${WARN_LOWER !== undefined || WARN_UPPER !== undefined ? ` WARN=${WARN_LOWER ?? LOWER}..${WARN_UPPER ?? UPPER}` : ""}`);
   console.log(`Dedup: Δ≥${DEDUP_DELTA_C}°C, heartbeat=${KEEPALIVE_MS / 1000}s`);
   app.listen(PORT, '0.0.0.0');
 });
 
 // shut down
-process.on('SIGTERM', () => {
+// a second SIGTERM while we're still flushing is ignored
+let shuttingDown = false;
+process.on('SIGTERM', async () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
   console.log('Shutting down…');
+  // each flush on its own, so one failing doesn't skip the rest
+  const flush = async (what, fn) => {
+    try { await fn(); } catch (e) { console.warn(`${what} flush failed:`, e?.message || e); }
+  };
+  // write the readings index so the next start doesn't have to recount
+  if (store) await flush('Store', () => store.flush());
+  for (const [label, s] of Object.entries(rollups)) await flush(`Rollup ${label}`, () => s.flush());
+  if (events) await flush('Events', () => events.flush());
+  // and the alert/dedup state so nothing re-fires after the restart
+  if (stateFile) await flush('State', () => stateFile.flush());
+  // queued notifications go out after the restart
+  if (outbox) await flush('Outbox', () => outbox.flush());
   process.exit(0);
 });
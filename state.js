@@ -0,0 +1,51 @@
+// state.js
+// Small JSON state file for runtime state that must survive restarts (alert manager
+// status/cooldowns and the ingest dedup map). Kept out of db.json because it changes on
+// nearly every reading: saves are debounced and written atomically (tmp + rename).
+
+const fs = require('fs/promises');
+
+// default debounce between a change and the write
+const STATE_SAVE_DELAY_MS = Number(process.env.STATE_SAVE_DELAY_MS ?? 5000);
+
+// factory: collect() returns the object to persist
+function createStateFile({ file, collect, delayMs = STATE_SAVE_DELAY_MS }) {
+  let timer = null;
+  let writing = Promise.resolve();
+
+  // read the saved state; missing or corrupt files start fresh
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('State file unreadable, starting fresh:', e?.message || e);
+      return null;
+    }
+  }
+
+  // write now (chained so two saves never race on the tmp file)
+  function save() {
+    writing = writing.then(async () => {
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ version: 1, saved_at: new Date().toISOString(), ...collect() }));
+      await fs.rename(tmp, file);
+    }).catch(e => console.warn('State save failed:', e?.message || e));
+    return writing;
+  }
+
+  // write a little later, coalescing bursts of changes
+  function scheduleSave() {
+    if (timer) return;
+    timer = setTimeout(() => { timer = null; save(); }, delayMs);
+  }
+
+  // cancel any pending timer and write immediately (shutdown)
+  function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    return save();
+  }
+
+  return { load, save, scheduleSave, flush };
+}
+
+module.exports = { createStateFile };
@@ -0,0 +1,291 @@
+// store.js
+// Append-only time-series store for readings, partitioned per device and per UTC day.
+// Layout under <dir>/<name> (name defaults to 'readings'; retention uses 'rollups-5m' / 'rollups-1h'):
+//   <device>/<YYYY-MM-DD>.jsonl  -> one JSON record per line, only ever appended to
+//   index.json                   -> per-device day list (with line counts), latest record and
+//                                   latest record per probe channel (multi-probe devices)
+// The index means /devices, /health and time-range reads never have to scan the whole history:
+// a range query only opens the day files that overlap the requested range.
+// Whole days are the unit of deletion (retention drops or replaces a day file at once).
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// how long to wait before rewriting index.json after an append (it is small, but not free)
+const INDEX_SAVE_DELAY_MS = 2000;
+
+// device ids come from the field, so make them safe to use as a directory name
+function encodeId(id) {
+  return encodeURIComponent(String(id)).replace(/\./g, '%2E');
+}
+function decodeId(name) {
+  return decodeURIComponent(name);
+}
+
+// UTC day key for a timestamp in ms -> 'YYYY-MM-DD'
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// start of the UTC day for a day key, in ms
+function dayStartMs(key) {
+  return Date.parse(`${key}T00:00:00.000Z`);
+}
+
+// parse a .jsonl file into records, skipping a torn last line if the process died mid-append
+async function readJsonl(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const out = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try { out.push(JSON.parse(line)); } catch { /* torn line */ }
+  }
+  return out;
+}
+
+// factory for the store; call init() once before use
+function createReadingStore({ dir, name = 'readings' }) {
+  const root = path.join(dir, name);
+  const indexFile = path.join(root, 'index.json');
+
+  // id -> { days: { 'YYYY-MM-DD': count }, latest: rec|null, channels?: { [channel]: rec } }
+  let index = {};
+  let saveTimer = null;
+  // per-file promise chain so appends to the same file never interleave
+  const chains = new Map();
+
+  function deviceDir(id) { return path.join(root, encodeId(id)); }
+  function dayFile(id, key) { return path.join(deviceDir(id), `${key}.jsonl`); }
+
+  // run fn after everything already queued for this file
+  function serialize(file, fn) {
+    const prev = chains.get(file) || Promise.resolve();
+    const next = prev.then(fn, fn);
+    chains.set(file, next);
+    // drop the chain once idle so the map doesn't grow forever
+    next.finally(() => { if (chains.get(file) === next) chains.delete(file); }).catch(() => {});
+    return next;
+  }
+
+  // keep an index entry's latest (and per-channel latest) up to date with a record
+  function noteLatest(entry, r) {
+    if (!entry.latest || r.ts_ms >= entry.latest.ts_ms) entry.latest = r;
+    if (r.channel) {
+      entry.channels ||= {};
+      const prev = entry.channels[r.channel];
+      if (!prev || r.ts_ms >= prev.ts_ms) entry.channels[r.channel] = r;
+    }
+  }
+
+  // debounce the index rewrite
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      saveIndex().catch(e => console.warn('Store index save failed:', e?.message || e));
+    }, INDEX_SAVE_DELAY_MS);
+  }
+
+  // write index.json atomically (tmp + rename); saves are chained like appends, so the
+  // debounced save and flush() never share the tmp file
+  function saveIndex() {
+    return serialize(indexFile, async () => {
+      const tmp = `${indexFile}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ version: 1, devices: index }));
+      await fs.rename(tmp, indexFile);
+    });
+  }
+
+  // rebuild one device's index entry from its day files
+  async function scanDevice(id) {
+    const entry = { days: {}, latest: null };
+    let names = [];
+    try { names = await fs.readdir(deviceDir(id)); } catch { return entry; }
+    for (const name of names.filter(n => n.endsWith('.jsonl')).sort()) {
+      const key = name.slice(0, -'.jsonl'.length);
+      const rows = await readJsonl(path.join(deviceDir(id), name));
+      if (rows.length === 0) continue;
+      entry.days[key] = rows.length;
+      for (const r of rows) noteLatest(entry, r);
+    }
+    return entry;
+  }
+
+  // recount only the newest day of a device (the one that may have been appended
+  // to after the last index save)
+  async function refreshNewestDay(id) {
+    const entry = index[id];
+    const keys = Object.keys(entry.days).sort();
+    let names = [];
+    try { names = await fs.readdir(deviceDir(id)); } catch { return; }
+    // pick up day files the index has not heard of yet
+    for (const name of names) {
+      const key = name.endsWith('.jsonl') ? name.slice(0, -'.jsonl'.length) : null;
+      if (key && !(key in entry.days)) keys.push(key);
+    }
+    keys.sort();
+    const newest = keys[keys.length - 1];
+    if (!newest) return;
+    const rows = await readJsonl(dayFile(id, newest));
+    entry.days[newest] = rows.length;
+    for (const r of rows) noteLatest(entry, r);
+  }
+
+  // load index.json, or rebuild it from the directory tree if it's missing or broken
+  async function init() {
+    await fs.mkdir(root, { recursive: true });
+    let loaded = null;
+    try {
+      loaded = JSON.parse(await fs.readFile(indexFile, 'utf8'));
+    } catch { /* missing or corrupt -> rebuild */ }
+
+    const names = (await fs.readdir(root, { withFileTypes: true }))
+      .filter(d => d.isDirectory())
+      .map(d => decodeId(d.name));
+
+    if (loaded && loaded.devices) {
+      index = loaded.devices;
+      for (const id of names) {
+        if (!index[id]) index[id] = await scanDevice(id);
+        else await refreshNewestDay(id);
+      }
+    } else {
+      index = {};
+      for (const id of names) index[id] = await scanDevice(id);
+    }
+    await saveIndex();
+  }
+
+  // append a group of records for one (device, day) file and update the index
+  async function appendGroup(id, key, recs) {
+    const file = dayFile(id, key);
+    await serialize(file, async () => {
+      await fs.mkdir(deviceDir(id), { recursive: true });
+      await fs.appendFile(file, recs.map(r => JSON.stringify(r)).join('\n') + '\n');
+    });
+    const entry = index[id] ||= { days: {}, latest: null };
+    entry.days[key] = (entry.days[key] || 0) + recs.length;
+    for (const r of recs) noteLatest(entry, r);
+  }
+
+  // append many records (any devices, any order); one file append per (device, day)
+  async function appendMany(recs) {
+    const groups = new Map();
+    for (const r of recs) {
+      const k = `${r.device_id}\n${dayKey(r.ts_ms)}`;
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(r);
+    }
+    for (const [k, group] of groups) {
+      const [id, key] = k.split('\n');
+      await appendGroup(id, key, group);
+    }
+    if (recs.length) scheduleSave();
+  }
+
+  // append a single record
+  async function append(rec) {
+    return appendMany([rec]);
+  }
+
+  // records for one device between from/to (Date or ms, either optional), oldest first.
+  // channel keeps one probe's records; with max, reading stops as soon as more than max records
+  // matched (the caller only needs to know it's too many), so the result is then incomplete.
+  async function query(id, { from, to, channel, max = Infinity } = {}) {
+    const entry = index[id];
+    if (!entry) return [];
+    const fromMs = from == null ? -Infinity : +from;
+    const toMs = to == null ? Infinity : +to;
+    const rows = [];
+    for (const key of Object.keys(entry.days).sort()) {
+      // skip whole days outside the range without touching the file
+      const start = dayStartMs(key);
+      if (start + 86_400_000 <= fromMs || start > toMs) continue;
+      for (const r of await readJsonl(dayFile(id, key))) {
+        if (r.ts_ms >= fromMs && r.ts_ms <= toMs && (!channel || r.channel === channel)) rows.push(r);
+      }
+      if (rows.length > max) break;
+    }
+    // backfilled readings can land out of order within a day file
+    rows.sort((a, b) => a.ts_ms - b.ts_ms);
+    return rows;
+  }
+
+  // sorted day keys stored for a device
+  function days(id) {
+    return Object.keys(index[id]?.days || {}).sort();
+  }
+
+  // start (ms) of the oldest stored day for a device, or null if it has none
+  function firstTs(id) {
+    const keys = days(id);
+    return keys.length ? dayStartMs(keys[0]) : null;
+  }
+
+  // delete one day file of a device (the latest record is kept for /devices)
+  async function removeDay(id, key) {
+    const file = dayFile(id, key);
+    await serialize(file, () => fs.rm(file, { force: true }));
+    if (index[id]) delete index[id].days[key];
+    scheduleSave();
+  }
+
+  // overwrite one day file with exactly these records (idempotent rewrites for rollups)
+  async function replaceDay(id, key, recs) {
+    const file = dayFile(id, key);
+    await serialize(file, async () => {
+      await fs.mkdir(deviceDir(id), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, recs.map(r => JSON.stringify(r)).join('\n') + (recs.length ? '\n' : ''));
+      await fs.rename(tmp, file);
+    });
+    const entry = index[id] ||= { days: {}, latest: null };
+    entry.days[key] = recs.length;
+    for (const r of recs) noteLatest(entry, r);
+    scheduleSave();
+  }
+
+  // newest record for a device (or null)
+  function latest(id) {
+    return index[id]?.latest || null;
+  }
+
+  // newest record per probe channel ({} for single-probe devices)
+  function latestByChannel(id) {
+    return index[id]?.channels || {};
+  }
+
+  // all device ids that have stored readings
+  function deviceIds() {
+    return Object.keys(index);
+  }
+
+  // total number of stored readings (all devices)
+  function count() {
+    let n = 0;
+    for (const entry of Object.values(index)) {
+      for (const c of Object.values(entry.days)) n += c;
+    }
+    return n;
+  }
+
+  // wait for pending appends and write the index now (used on shutdown)
+  async function flush() {
+    await Promise.all([...chains.values()].map(p => p.catch(() => {})));
+    if (saveTimer) { clearTimeout(saveTimer); saveTimer = null; }
+    await saveIndex();
+  }
+
+  return {
+    init, append, appendMany, query, latest, latestByChannel, deviceIds, count, flush,
+    days, firstTs, removeDay, replaceDay,
+  };
+}
+
+module.exports = { createReadingStore, dayKey, dayStartMs };